@@ -0,0 +1,10 @@
+// editor-worker.js
+// Runs the solver for the puzzle editor off the main thread, so the page stays responsive
+// while an open grid is being checked. editor.js replaces the worker when the grid changes.
+
+importScripts("zip-engine.js");
+
+self.onmessage = (e) => {
+  const { seq, grid, maxNodes } = e.data;
+  self.postMessage({ seq, ...ZipEngine.analyzePuzzle(grid, maxNodes) });
+};
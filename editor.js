@@ -0,0 +1,274 @@
+// editor.js
+// Puzzle editor (/editor): place numbers 1..K on an empty grid, check it live with the shared
+// solver (in editor-worker.js) and submit it to the review queue. Approved puzzles join the catalogue.
+// A share link (/zip?code=...) plays the grid straight away, without going through review.
+
+// Same budget as EDITOR_SOLVE_NODES in server.js, so what passes here passes on submit
+const SOLVE_NODE_BUDGET = 200000;
+const CHECK_DELAY_MS = 150;
+
+function draftKey(user) {
+  return `zip_editor_${user}`;
+}
+
+function loadDraft(user) {
+  try {
+    const d = JSON.parse(localStorage.getItem(draftKey(user)) || "null");
+    if (d && Array.isArray(d.grid) && d.grid.length >= 3 && Array.isArray(d.grid[0]) && d.grid[0].length >= 3 &&
+        d.grid.every(row => Array.isArray(row) && row.length === d.grid[0].length)) return d.grid;
+  } catch { /* no usable draft */ }
+  return null;
+}
+
+function saveDraft(user, grid) {
+  localStorage.setItem(draftKey(user), JSON.stringify({ grid }));
+}
+
+function emptyGrid(rows, cols) {
+  return Array.from({ length: rows }, () => Array(cols).fill(0));
+}
+
+// Size select values are "<rows>x<cols>"
+function parseSize(value) {
+  const [rows, cols] = value.split("x").map(Number);
+  return { rows, cols };
+}
+
+function sizeValue(grid) {
+  return `${grid.length}x${grid[0].length}`;
+}
+
+function maxNumber(grid) {
+  return Math.max(0, ...grid.flat());
+}
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function miniGridHtml(grid) {
+  const cells = grid.flat().map(v => `<span>${v || ""}</span>`).join("");
+  return `<span class="mini-grid" style="--cols:${grid[0].length}">${cells}</span>`;
+}
+
+const SUBMIT_ERRORS = {
+  duplicate: "That puzzle is already in the catalogue or the queue.",
+  unsolvable: "The server couldn't solve it.",
+  too_hard_to_check: "It's too open for the server to check. Add a few numbers.",
+  too_many_pending: "You already have the maximum number of puzzles waiting for review.",
+  invalid_size: "That size can't be submitted.",
+  invalid_numbers: "Numbers must run 1, 2, 3, … without gaps."
+};
+
+(async function main() {
+  const user = await window.zipSessionReady;
+  if (!user) return;
+
+  const boardEl = document.getElementById("board");
+  const pathEl = document.getElementById("path");
+  const reportEl = document.getElementById("report");
+  const msgEl = document.getElementById("msg");
+  const sizeSelect = document.getElementById("sizeSelect");
+  const undoBtn = document.getElementById("undoBtn");
+  const solutionBtn = document.getElementById("solutionBtn");
+  const submitBtn = document.getElementById("submitBtn");
+  const shareBtn = document.getElementById("shareBtn");
+
+  const initialSize = parseSize(sizeSelect.value);
+  let grid = loadDraft(user) || emptyGrid(initialSize.rows, initialSize.cols);
+  let history = [];
+  let view = null;
+  let analysis = null;    // latest worker result for the current grid
+  let showSolution = false;
+
+  let worker = null;
+  let checkSeq = 0;
+  let checkTimer = null;
+
+  function setMsg(text, ok = null) {
+    msgEl.textContent = text;
+    msgEl.classList.toggle("ok", ok === true);
+    msgEl.classList.toggle("bad", ok === false);
+  }
+
+  function render() {
+    sizeSelect.value = sizeValue(grid);
+    view = ZipBoard.createBoardView(boardEl, pathEl, grid);
+    view.build();
+    const sol = showSolution && analysis && analysis.solutionPath;
+    view.draw(sol ? sol.map(([r, c]) => ({ r, c })) : []);
+
+    undoBtn.disabled = history.length === 0;
+    solutionBtn.textContent = showSolution ? "Hide solution" : "Show solution";
+    solutionBtn.disabled = !(analysis && analysis.solutionPath);
+    submitBtn.disabled = !(analysis && analysis.solvable === true && !analysis.aborted);
+    shareBtn.disabled = !(analysis && analysis.solvable === true);
+  }
+
+  function renderReport() {
+    const K = maxNumber(grid);
+    const parts = [`<span>Numbers: ${K}</span>`];
+    if (K < 2) {
+      parts.push(`<span>Place at least 1 and 2</span>`);
+    } else if (!analysis) {
+      parts.push(`<span>Checking…</span>`);
+    } else if (analysis.solvable === false) {
+      parts.push(`<span class="bad">No solution</span>`);
+    } else if (analysis.solvable === null) {
+      parts.push(`<span class="bad">Too open to check — add more numbers</span>`);
+    } else {
+      parts.push(`<span class="good">Solvable</span>`);
+      if (analysis.unique === true) parts.push(`<span class="good">Unique</span>`);
+      else if (analysis.unique === false) parts.push(`<span class="bad">More than one solution</span>`);
+      else parts.push(`<span class="bad">Uniqueness unknown (too open)</span>`);
+      const d = analysis.difficulty;
+      parts.push(`<span>Difficulty: <span class="tier-badge tier-${d.tier}">${d.tier}</span> ${d.score}/100</span>`);
+    }
+    reportEl.innerHTML = parts.join("");
+  }
+
+  // Each change cancels the check still running for the previous grid
+  function scheduleCheck() {
+    analysis = null;
+    clearTimeout(checkTimer);
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    renderReport();
+    if (maxNumber(grid) < 2) return;
+
+    checkTimer = setTimeout(() => {
+      const seq = ++checkSeq;
+      worker = new Worker("editor-worker.js");
+      worker.onmessage = (e) => {
+        if (e.data.seq !== checkSeq) return;
+        worker.terminate();
+        worker = null;
+        analysis = e.data;
+        if (!analysis.solutionPath) showSolution = false;
+        renderReport();
+        render();
+      };
+      worker.postMessage({ seq, grid, maxNodes: SOLVE_NODE_BUDGET });
+    }, CHECK_DELAY_MS);
+  }
+
+  function changeGrid(next) {
+    history.push(grid);
+    grid = next;
+    saveDraft(user, grid);
+    setMsg("");
+    scheduleCheck();
+    render();
+  }
+
+  // Empty cell: next number. Numbered cell: remove it and close the gap (5 becomes 4, ...)
+  function toggleCell(r, c) {
+    const next = grid.map(row => row.slice());
+    const v = next[r][c];
+    if (v === 0) {
+      next[r][c] = maxNumber(grid) + 1;
+    } else {
+      next[r][c] = 0;
+      for (const row of next) {
+        for (let i = 0; i < row.length; i++) if (row[i] > v) row[i] -= 1;
+      }
+    }
+    changeGrid(next);
+  }
+
+  boardEl.addEventListener("click", (e) => {
+    const rc = view && view.cellAtPoint(e.clientX, e.clientY);
+    if (rc) toggleCell(rc.r, rc.c);
+  });
+
+  sizeSelect.addEventListener("change", () => {
+    if (sizeSelect.value === sizeValue(grid)) return;
+    const { rows, cols } = parseSize(sizeSelect.value);
+    changeGrid(emptyGrid(rows, cols));
+  });
+
+  undoBtn.addEventListener("click", () => {
+    if (!history.length) return;
+    grid = history.pop();
+    saveDraft(user, grid);
+    scheduleCheck();
+    render();
+  });
+
+  document.getElementById("clearBtn").addEventListener("click", () => {
+    if (maxNumber(grid) === 0) return;
+    changeGrid(emptyGrid(grid.length, grid[0].length));
+  });
+
+  solutionBtn.addEventListener("click", () => {
+    showSolution = !showSolution;
+    render();
+  });
+
+  submitBtn.addEventListener("click", async () => {
+    if (analysis && analysis.unique === false &&
+        !confirm("This puzzle has more than one solution. Submit it anyway?")) return;
+
+    submitBtn.disabled = true;
+    try {
+      const res = await fetch("/api/editor/submissions", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ grid })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setMsg(SUBMIT_ERRORS[data.error] || `Could not submit (${data.error || res.status}).`, false);
+        return;
+      }
+      setMsg("Submitted! An admin will review it.", true);
+      history = [];
+      grid = emptyGrid(grid.length, grid[0].length);
+      saveDraft(user, grid);
+      scheduleCheck();
+      loadSubmissions();
+    } catch (err) {
+      setMsg("Could not reach the server.", false);
+    } finally {
+      render();
+    }
+  });
+
+  shareBtn.addEventListener("click", async () => {
+    const url = `${window.location.origin}/zip?code=${ZipEngine.encodePuzzleCode(grid)}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setMsg("Share link copied.", true);
+    } catch (err) {
+      setMsg(url, true); // no clipboard access: show it so it can be copied by hand
+    }
+  });
+
+  async function loadSubmissions() {
+    try {
+      const res = await fetch("/api/editor/submissions", { cache: "no-store" });
+      if (!res.ok) return;
+      const items = await res.json();
+      document.getElementById("submissions").classList.toggle("hidden", items.length === 0);
+      document.getElementById("submissionList").innerHTML = items.map(s => {
+        const status = s.status === "approved"
+          ? `approved as <a href="/zip?id=${s.puzzleId}">Zip #${s.puzzleId}</a>`
+          : s.status === "rejected"
+          ? `rejected${s.note ? `: ${escapeHtml(s.note)}` : ""}`
+          : "waiting for review";
+        const tier = s.difficulty ? ` <span class="tier-badge tier-${s.difficulty.tier}">${s.difficulty.tier}</span>` : "";
+        return `<li>${miniGridHtml(s.grid)} ${s.n}×${s.m}${tier} — ${status}</li>`;
+      }).join("");
+    } catch (err) {
+      console.warn("Failed to load submissions:", err);
+    }
+  }
+
+  scheduleCheck();
+  render();
+  loadSubmissions();
+})();
@@ -10,73 +10,215 @@
 // - heartbeat + give-up logic + ALWAYS saves progress.
 // - writeOut() is defined once (not inside a loop).
 //
-// New (Option B):
-// - DFS solver now includes pruning for:
-//   (1) Reachability to the next required number via BFS over *currently-walkable* cells
-//   (2) Connectivity (no disconnected islands) of currently-walkable unvisited cells
+// Solver:
+// - the rules and the pruned DFS solver live in zip-engine.js (shared with the site and
+//   the server), so generated puzzles are checked by exactly the rules players use.
 //
-// This keeps correctness for small boards and makes large boards much less hopeless.
+// Strategies (--strategy):
+// - random (default): drop 1..K on random cells and keep the grid if the solver finds a path.
+//   Fine up to 7x7; bigger boards rarely solve, so it gives up after MAX_CONSECUTIVE_FAILS.
+// - path: build a random Hamiltonian path first (a snake shuffled with backbite moves), then put
+//   numbers on it until the solver confirms it is the only solution. Always unique, and a 12x12
+//   takes seconds.
+//
+// Reproducing and parallel runs:
+// - --seed S makes a batch repeatable. Each attempt gets its own seed derived from S, and
+//   every puzzle records it as generator.seed (with the strategy/walls/unique options used):
+//     node generate.js --sizes <its size> --count 1 --seed <generator.seed> [same options] --out scratch.json
+//   makes that puzzle again.
+// - --workers N searches with N worker_threads. Dedupe, saving and logging stay in the main
+//   thread; each puzzle is still reproducible from its seed, but which attempts make it into
+//   the batch depends on timing, so only a single-worker batch repeats exactly.
+//
+// Uniqueness:
+// - countZipSolutions() runs the same search but stops after the 2nd solution.
+// - --unique throws away generated grids that have more than one solution.
+// - `node generate.js audit` reports existing puzzles with more than one solution.
+//
+// Walls:
+// - a puzzle may have "walls": [[r1, c1, r2, c2], ...], edges between adjacent cells the path
+//   can't cross. Every solver call here passes them on.
+// - --walls N puts up to N walls on each new puzzle. They only go on edges the puzzle's solution
+//   doesn't use, so it stays solvable, and while it still has other solutions the wall that
+//   rules out the most of them goes first.
+//
+// Sharing:
+// - `node generate.js export` prints puzzles as plain-text grids with their share codes
+//   (/zip?code=... plays one without it being in the catalogue).
+// - `node generate.js import --file grids.txt` appends plain-text grids (or codes) as new puzzles.
+//
+// Difficulty:
+// - every new puzzle gets difficulty { score 0..100, tier, ...solver metrics } from
+//   rateDifficulty() in zip-engine.js (the puzzle editor uses the same scoring).
+// - `node generate.js rate` backfills it for puzzles that don't have one yet.
 
 const fs = require("fs");
 const path = require("path");
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+const {
+  searchZip,
+  solveZipDFS,
+  countZipSolutions,
+  solutionPathToString,
+  stringToSolutionPath,
+  DIFFICULTY_TIERS,
+  rateDifficulty,
+  encodePuzzleCode,
+  decodePuzzleCode,
+  gridToAscii,
+  asciiToGrid,
+  normalizeWalls,
+  neighbors4,
+  checkpointCount,
+  checkSolutionPath,
+} = require("./zip-engine");
 
 // --------------------------
 // CLI args
 // --------------------------
+// Commands:
+//   node generate.js [generate] [--count N] [--sizes 4,6,5x7] [--out file] [--unique] [--walls N]
+//                    [--strategy random|path] [--seed S] [--workers N]
+//   node generate.js audit [--out file]     (lists puzzles with more than one solution)
+//   node generate.js validate [--out file] [--fix]   (checks ids, grids, solutions and duplicates)
+//   node generate.js rate [--out file] [--force]   (backfills difficulty scores)
+//   node generate.js export [--ids 1,2,3] [--out file]   (plain-text grids + share codes on stdout)
+//   node generate.js import --file grids.txt [--out file] [--unique]
+const STRATEGIES = ["random", "path"];
+
 function parseArgs(argv) {
-  const out = { count: 30, sizes: [4, 6], outFile: "puzzles.json" };
+  const out = {
+    command: "generate",
+    count: 30,
+    sizes: null,
+    outFile: "puzzles.json",
+    unique: false,
+    force: false,
+    fix: false,
+    ids: null,
+    file: null,
+    walls: 0,
+    strategy: "random",
+    seed: null,
+    workers: 1,
+  };
 
   for (let i = 2; i < argv.length; i++) {
     const a = argv[i];
-    if (a === "--count") out.count = Number(argv[++i]);
+    if (i === 2 && !a.startsWith("--")) out.command = a;
+    else if (a === "--count") out.count = Number(argv[++i]);
     else if (a === "--sizes") {
       out.sizes = String(argv[++i])
         .split(",")
-        .map((s) => Number(s.trim()))
-        .filter((n) => Number.isFinite(n) && n >= 2);
+        .map((s) => parseSize(s.trim()))
+        .filter(Boolean);
     } else if (a === "--out") out.outFile = String(argv[++i]);
+    else if (a === "--unique") out.unique = true;
+    else if (a === "--force") out.force = true;
+    else if (a === "--fix") out.fix = true;
+    else if (a === "--ids") {
+      out.ids = String(argv[++i])
+        .split(",")
+        .map((s) => Number(s.trim()))
+        .filter(Number.isFinite);
+    } else if (a === "--file") out.file = String(argv[++i]);
+    else if (a === "--walls") out.walls = Number(argv[++i]);
+    else if (a === "--strategy") out.strategy = String(argv[++i]);
+    else if (a === "--seed") out.seed = Number(argv[++i]);
+    else if (a === "--workers") out.workers = Number(argv[++i]);
   }
 
   if (!Number.isFinite(out.count) || out.count <= 0) out.count = 30;
-  if (!Array.isArray(out.sizes) || out.sizes.length === 0) out.sizes = [4, 6];
+  if (!Array.isArray(out.sizes) || out.sizes.length === 0) out.sizes = [parseSize("4"), parseSize("6")];
+  if (!Number.isInteger(out.walls) || out.walls < 0) out.walls = 0;
+  if (out.seed !== null && !(Number.isInteger(out.seed) && out.seed >= 0 && out.seed < 2 ** 32)) {
+    console.warn(`--seed must be a whole number from 0 to ${2 ** 32 - 1}; picking a random one.`);
+    out.seed = null;
+  }
+  if (!Number.isInteger(out.workers) || out.workers < 1) out.workers = 1;
+  if (!STRATEGIES.includes(out.strategy)) {
+    console.warn(`Unknown strategy "${out.strategy}", using "random" (choices: ${STRATEGIES.join(", ")}).`);
+    out.strategy = "random";
+  }
 
   return out;
 }
 
+// "6" is a 6x6 board, "5x7" has 5 rows and 7 columns
+function parseSize(text) {
+  const m = /^(\d+)(?:x(\d+))?$/i.exec(text);
+  if (!m) return null;
+  const rows = Number(m[1]);
+  const cols = m[2] ? Number(m[2]) : rows;
+  if (rows < 2 || cols < 2) return null;
+  return { rows, cols };
+}
+
 const ARGS = parseArgs(process.argv);
 
+// --------------------------
+// Seeded randomness
+// --------------------------
+// mulberry32: small, fast and good enough for shuffling cells. Every generation attempt
+// reseeds it (useSeed), so an attempt only depends on its own seed.
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+let random = Math.random;
+
+function useSeed(seed) {
+  random = mulberry32(seed);
+}
+
+// Seed of the n-th attempt in a batch. The first attempt uses the batch seed itself, so a
+// puzzle's recorded seed passed back as --seed makes that same puzzle again.
+function attemptSeed(batchSeed, n) {
+  if (n === 0) return batchSeed;
+  let h = (batchSeed ^ Math.imul(n, 0x9e3779b9)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
 // --------------------------
 // Helpers
 // --------------------------
 function randInt(lo, hi) {
-  return lo + Math.floor(Math.random() * (hi - lo + 1));
+  return lo + Math.floor(random() * (hi - lo + 1));
 }
 
 function shuffle(arr) {
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
 }
 
-function makeEmptyGrid(n) {
-  return Array.from({ length: n }, () => Array(n).fill(0));
+function makeEmptyGrid(rows, cols) {
+  return Array.from({ length: rows }, () => Array(cols).fill(0));
 }
 
-function allCells(n) {
+function allCells(rows, cols) {
   const out = [];
-  for (let r = 0; r < n; r++) for (let c = 0; c < n; c++) out.push([r, c]);
+  for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) out.push([r, c]);
   return out;
 }
 
-function neighbors4(n, r, c) {
-  const out = [];
-  if (r > 0) out.push([r - 1, c]);
-  if (r < n - 1) out.push([r + 1, c]);
-  if (c > 0) out.push([r, c - 1]);
-  if (c < n - 1) out.push([r, c + 1]);
-  return out;
+// "rows x cols" label, used in logs and dedupe keys
+function shapeLabel(rows, cols) {
+  return `${rows}x${cols}`;
+}
+function gridShape(grid) {
+  return shapeLabel(grid.length, grid[0].length);
 }
 
 function safeReadJson(filePath) {
@@ -91,28 +233,6 @@ function safeReadJson(filePath) {
   }
 }
 
-// --------------------------
-// Compact path format
-// --------------------------
-function solutionPathToString(pathArr) {
-  // "r,c;r,c;..."
-  return pathArr.map(([r, c]) => `${r},${c}`).join(";");
-}
-
-function stringToSolutionPath(s) {
-  if (typeof s !== "string" || !s.trim()) return null;
-  const parts = s.split(";");
-  const out = [];
-  for (const p of parts) {
-    const [rs, cs] = p.split(",");
-    const r = Number(rs);
-    const c = Number(cs);
-    if (!Number.isFinite(r) || !Number.isFinite(c)) return null;
-    out.push([r, c]);
-  }
-  return out;
-}
-
 // If you have old data where grid was stored as a pretty string, we can still read it:
 function prettyStringToGrid(s) {
   // Extracts rows like "[0, 4, 0, 0]" from the string
@@ -131,14 +251,28 @@ function prettyStringToGrid(s) {
   return rows;
 }
 
+// Walls of a puzzles.json entry in canonical form ([] when it has none or they are malformed)
+function readPuzzleWalls(p, grid) {
+  return normalizeWalls(p.walls, grid.length, grid[0].length) || [];
+}
+
+// Reads the grid of a puzzles.json entry (2D array, or the old pretty-string format)
+function readPuzzleGrid(p) {
+  if (!p) return null;
+  if (Array.isArray(p.grid)) return p.grid;
+  if (typeof p.grid === "string") return prettyStringToGrid(p.grid); // backward compat
+  return null;
+}
+
 function gridKey(grid) {
   return grid.map((row) => row.join(",")).join(";");
 }
-function puzzleGridKey(n, grid) {
-  return `${n}|${gridKey(grid)}`;
+// The same numbers with different walls are a different puzzle
+function puzzleGridKey(grid, walls = []) {
+  return `${gridShape(grid)}|${gridKey(grid)}|${walls.map((w) => w.join(",")).join(";")}`;
 }
-function puzzleSolutionKey(n, solutionPathArr) {
-  return `${n}|${solutionPathToString(solutionPathArr)}`;
+function puzzleSolutionKey(grid, solutionPathArr) {
+  return `${gridShape(grid)}|${solutionPathToString(solutionPathArr)}`;
 }
 
 function writeOut(outPath, puzzles) {
@@ -148,243 +282,227 @@ function writeOut(outPath, puzzles) {
 }
 
 // --------------------------
-// DFS solver for Zip puzzle
-// Rules:
-// - start at 1
-// - cover every cell exactly once
-// - orthogonal moves only
-// - numbered checkpoints 1..K visited in order
-// - cannot step on a numbered cell unless it is the next required number
-// - end on K
-//
-// Upgrades (Option B):
-// - BFS reachability prune to next checkpoint
-// - "No disconnected islands" prune over currently-walkable unvisited cells
+// Puzzle generator
+// Your K rule: K in [n, 2n + max(0, n-3)], where n is the side of a square
+// with the same number of cells (so n x n boards are unchanged)
 // --------------------------
-function solveZipDFS(grid) {
-  const n = grid.length;
-  const N = n * n;
-
-  // Collect required numbers; must be exactly 1..K (no gaps)
-  const req = [];
-  for (let r = 0; r < n; r++)
-    for (let c = 0; c < n; c++) if (grid[r][c] !== 0) req.push(grid[r][c]);
-  req.sort((a, b) => a - b);
-
-  if (req.length === 0 || req[0] !== 1) return null;
-  for (let i = 0; i < req.length; i++) if (req[i] !== i + 1) return null;
-  const K = req.length;
-
-  // Map value -> position for O(1) lookup
-  const posOf = Array(K + 1).fill(null);
-  for (let r = 0; r < n; r++) {
-    for (let c = 0; c < n; c++) {
-      const v = grid[r][c];
-      if (v !== 0) {
-        if (v >= 1 && v <= K) posOf[v] = [r, c];
-        else return null; // safety: value outside 1..K (shouldn't happen in your generator)
-      }
-    }
-  }
-
-  const start = posOf[1];
-  if (!start) return null;
+function kRangeFor(rows, cols) {
+  const n = Math.round(Math.sqrt(rows * cols));
+  const lo = n;
+  const hi = 2 * n + Math.max(0, n - 3);
+  return { lo, hi };
+}
 
-  const visited = Array.from({ length: n }, () => Array(n).fill(false));
-  const path = [];
+function randomPuzzleGrid(rows, cols) {
+  const { lo, hi } = kRangeFor(rows, cols);
+  const K = randInt(lo, hi);
 
-  visited[start[0]][start[1]] = true;
-  path.push(start);
+  const grid = makeEmptyGrid(rows, cols);
+  const cells = allCells(rows, cols);
+  shuffle(cells);
 
-  // ------------ rule helpers ------------
-  function isForbiddenCell(r, c, needed) {
-    const v = grid[r][c];
-    // If it's numbered and not the next required number, it is forbidden *right now*
-    return v !== 0 && needed !== null && v !== needed;
+  for (let k = 1; k <= K; k++) {
+    const [r, c] = cells[k - 1];
+    grid[r][c] = k;
   }
 
-  function canStandOn(r, c, needed) {
-    if (visited[r][c]) return false;
-    return !isForbiddenCell(r, c, needed);
-  }
+  return grid;
+}
 
-  function degreeOfCell(r, c, needed) {
-    let d = 0;
-    for (const [nr, nc] of neighbors4(n, r, c)) {
-      if (canStandOn(nr, nc, needed)) d++;
+// Every edge between two adjacent cells, as [r1, c1, r2, c2] with the top/left cell first
+function allEdges(rows, cols) {
+  const out = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (c + 1 < cols) out.push([r, c, r, c + 1]);
+      if (r + 1 < rows) out.push([r, c, r + 1, c]);
     }
-    return d;
   }
+  return out;
+}
 
-  // BFS reachability: can we reach the next required number using only currently-walkable cells?
-  function reachableToNeeded(curR, curC, needed) {
-    if (needed === null) return true;
-
-    const target = posOf[needed];
-    if (!target) return false;
-    const [tr, tc] = target;
-
-    if (visited[tr][tc]) return true;
-    if (isForbiddenCell(tr, tc, needed)) return false; // should never trigger, but safe
-
-    const seen = Array.from({ length: n }, () => Array(n).fill(false));
-    const q = new Array(n * n);
-    let head = 0;
-    let tail = 0;
-
-    q[tail++] = [curR, curC];
-    seen[curR][curC] = true;
-
-    while (head < tail) {
-      const [r, c] = q[head++];
+// Solutions are counted up to this many when choosing walls (more than that all look alike),
+// and each count gives up after this many search nodes (a partial count is still a fair guide)
+const WALL_COUNT_CAP = 20;
+const WALL_SEARCH_NODES = 20000;
 
-      for (const [nr, nc] of neighbors4(n, r, c)) {
-        if (seen[nr][nc]) continue;
-        if (visited[nr][nc]) continue;
-        if (isForbiddenCell(nr, nc, needed)) continue;
+function countWithWalls(grid, limit, walls) {
+  return searchZip(grid, limit, null, WALL_SEARCH_NODES, walls).count;
+}
 
-        if (nr === tr && nc === tc) return true;
+// Edges a solution path never crosses, shuffled (any of them can take a wall)
+function offPathEdges(rows, cols, solutionPath) {
+  const pathEdges = solutionPath.slice(1).map((cell, i) => [...solutionPath[i], ...cell]);
+  const used = new Set(normalizeWalls(pathEdges, rows, cols).map((e) => e.join(",")));
+  return shuffle(allEdges(rows, cols).filter((e) => !used.has(e.join(","))));
+}
 
-        seen[nr][nc] = true;
-        q[tail++] = [nr, nc];
+// Up to maxWalls walls on edges the solution doesn't use (so it stays a solution).
+// While the puzzle has other solutions, each step takes the wall that leaves the fewest;
+// once it is unique, the rest are picked at random.
+function addWalls(grid, solutionPath, maxWalls) {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const candidates = offPathEdges(rows, cols, solutionPath);
+
+  const walls = [];
+  let count = countWithWalls(grid, WALL_COUNT_CAP, []);
+  while (walls.length < maxWalls && candidates.length) {
+    let pick = candidates.length - 1;
+    if (count > 1) {
+      let bestCount = count;
+      for (let i = 0; i < candidates.length && bestCount > 1; i++) {
+        const c = countWithWalls(grid, bestCount, [...walls, candidates[i]]);
+        if (c < bestCount) {
+          bestCount = c;
+          pick = i;
+        }
       }
+      count = bestCount;
     }
-
-    return false;
+    walls.push(candidates.splice(pick, 1)[0]);
   }
+  return normalizeWalls(walls, rows, cols);
+}
 
-  // Connectivity prune:
-  // Treat "future numbers" as walls for the current phase (matches your movement rule).
-  // If the currently-walkable unvisited cells are split into multiple components, it's impossible.
-  function walkableUnvisitedConnected(needed) {
-    let seed = null;
-    let walkableCount = 0;
-
-    for (let r = 0; r < n; r++) {
-      for (let c = 0; c < n; c++) {
-        if (visited[r][c]) continue;
-        if (isForbiddenCell(r, c, needed)) continue;
-        walkableCount++;
-        if (!seed) seed = [r, c];
-      }
-    }
-
-    if (walkableCount === 0) return true;
-
-    const seen = Array.from({ length: n }, () => Array(n).fill(false));
-    const q = new Array(n * n);
-    let head = 0;
-    let tail = 0;
-
-    q[tail++] = seed;
-    seen[seed[0]][seed[1]] = true;
-
-    let reached = 0;
-
-    while (head < tail) {
-      const [r, c] = q[head++];
-      reached++;
-
-      for (const [nr, nc] of neighbors4(n, r, c)) {
-        if (seen[nr][nc]) continue;
-        if (visited[nr][nc]) continue;
-        if (isForbiddenCell(nr, nc, needed)) continue;
-
-        seen[nr][nc] = true;
-        q[tail++] = [nr, nc];
-      }
+// With unique=true, grids with a second solution are thrown away (costs a full search per grid).
+// With maxWalls, walls are added first (see addWalls), so uniqueness is judged with them.
+function generateSolvablePuzzle(rows, cols, maxAttempts = 2000, unique = false, maxWalls = 0) {
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const grid = randomPuzzleGrid(rows, cols);
+    let walls = [];
+    if (maxWalls > 0) {
+      const first = solveZipDFS(grid);
+      if (!first) continue;
+      walls = addWalls(grid, first, maxWalls);
     }
-
-    return reached === walkableCount;
+    const { count, firstPath, stats } = searchZip(grid, unique ? 2 : 1, null, Infinity, walls);
+    if (!firstPath) continue;
+    if (unique && count > 1) continue;
+    return { grid, walls, solutionPath: firstPath, difficulty: rateDifficulty(grid, firstPath, stats) };
   }
+  return null;
+}
 
-  // ------------ DFS ------------
-  function dfs(r, c, nextReq) {
-    if (path.length === N) {
-      if (nextReq !== K + 1) return false;
-      return grid[r][c] === K;
-    }
-
-    const needed = nextReq <= K ? nextReq : null;
-
-    // Prune 1: next checkpoint must be reachable through currently-walkable cells
-    if (!reachableToNeeded(r, c, needed)) return false;
-
-    // Prune 2: cannot leave disconnected "islands" of currently-walkable unvisited cells
-    if (!walkableUnvisitedConnected(needed)) return false;
-
-    let cand = [];
-    for (const [nr, nc] of neighbors4(n, r, c)) {
-      if (!canStandOn(nr, nc, needed)) continue;
-      cand.push([nr, nc]);
-    }
-
-    // Same heuristic, but now "degree" respects forbidden cells too
-    cand.sort(
-      (a, b) => degreeOfCell(a[0], a[1], needed) - degreeOfCell(b[0], b[1], needed)
-    );
-
-    for (const [nr, nc] of cand) {
-      const v = grid[nr][nc];
-      const newNextReq =
-        v !== 0 && needed !== null && v === needed ? nextReq + 1 : nextReq;
-
-      visited[nr][nc] = true;
-      path.push([nr, nc]);
-
-      if (dfs(nr, nc, newNextReq)) return true;
+// --------------------------
+// Path-first generator (--strategy path)
+// --------------------------
+// Backbite moves per cell: enough to lose every trace of the starting snake
+const BACKBITE_MOVES_PER_CELL = 40;
+// Numbers to start from: about one every this many steps along the path
+const PATH_START_GAP = 4;
+// Solver budget per uniqueness check (a check that runs out counts as "not unique"; kept small
+// because a number too many is cheap, it just gets taken back out) and how many numbers may be
+// added before giving up
+const PATH_SEARCH_NODES = 4000;
+const PATH_MAX_ROUNDS = 120;
+
+// Random Hamiltonian path as [r, c] cells. Starts from a snake through the rows and applies
+// backbite moves: pick an end, step to one of its neighbours already on the path, and reverse
+// the stretch between, so the path stays Hamiltonian while its shape changes.
+function randomHamiltonianPath(rows, cols) {
+  const N = rows * cols;
+  const path = [];
+  for (let r = 0; r < rows; r++) {
+    for (let i = 0; i < cols; i++) path.push([r, r % 2 === 0 ? i : cols - 1 - i]);
+  }
 
-      path.pop();
-      visited[nr][nc] = false;
+  const indexOf = new Array(N);
+  const reindex = (from, to) => {
+    for (let i = from; i <= to; i++) indexOf[path[i][0] * cols + path[i][1]] = i;
+  };
+  reindex(0, N - 1);
+
+  for (let move = 0; move < BACKBITE_MOVES_PER_CELL * N; move++) {
+    // Work on the tail; flipping the whole path now and then gives the head its turn
+    if (random() < 0.5) {
+      path.reverse();
+      reindex(0, N - 1);
     }
-
-    return false;
+    const [er, ec] = path[N - 1];
+    const nbrs = neighbors4(rows, cols, er, ec);
+    const [nr, nc] = nbrs[randInt(0, nbrs.length - 1)];
+    const i = indexOf[nr * cols + nc];
+    if (i === N - 2) continue;
+
+    // path[i] is next to the tail: path[0..i] + reverse(path[i+1..N-1]) is still a path
+    for (let a = i + 1, b = N - 1; a < b; a++, b--) [path[a], path[b]] = [path[b], path[a]];
+    reindex(i + 1, N - 1);
   }
-
-  return dfs(start[0], start[1], 2) ? path : null;
+  return path;
 }
 
-// --------------------------
-// Puzzle generator
-// Your K rule: K in [n, 2n + max(0, n-3)]
-// --------------------------
-function kRangeForN(n) {
-  const lo = n;
-  const hi = 2 * n + Math.max(0, n - 3);
-  return { lo, hi };
+// Grid with numbers 1..K on the path cells at the given (sorted) step indexes
+function numberPath(rows, cols, path, steps) {
+  const grid = makeEmptyGrid(rows, cols);
+  steps.forEach((step, k) => {
+    const [r, c] = path[step];
+    grid[r][c] = k + 1;
+  });
+  return grid;
 }
 
-function randomPuzzleGrid(n) {
-  const { lo, hi } = kRangeForN(n);
-  const K = randInt(lo, hi);
+// Numbers along a random path, added one at a time until that path is the only solution:
+// where another solution leaves the path, a number on the path's own cell there rules it out
+// (or, when the solver runs out of budget, one goes in the middle of the longest gap).
+// Then every number the solution doesn't need is taken back out again, in random order.
+// With maxWalls, walls go on edges the path doesn't use before the numbers are placed.
+function generatePathFirstPuzzle(rows, cols, maxWalls = 0) {
+  const path = randomHamiltonianPath(rows, cols);
+  const N = path.length;
+  const walls = maxWalls > 0 ? normalizeWalls(offPathEdges(rows, cols, path).slice(0, maxWalls), rows, cols) : [];
+
+  const check = (steps) => {
+    const grid = numberPath(rows, cols, path, steps);
+    const search = searchZip(grid, 2, null, PATH_SEARCH_NODES, walls);
+    return { grid, search, unique: search.count === 1 && !search.aborted };
+  };
+
+  const start = new Set([0, N - 1]);
+  for (let i = randInt(1, PATH_START_GAP); i < N - 1; i += randInt(Math.ceil(PATH_START_GAP / 2), Math.floor(PATH_START_GAP * 3 / 2))) {
+    start.add(i);
+  }
 
-  const grid = makeEmptyGrid(n);
-  const cells = allCells(n);
-  shuffle(cells);
+  let steps = Array.from(start).sort((a, b) => a - b);
+  let result = check(steps);
+  for (let round = 0; !result.unique; round++) {
+    if (round === PATH_MAX_ROUNDS) return null;
+
+    // The path's step where the other solution turns away, or else where the path reaches the
+    // cell the other solution turned into
+    const { count, firstPath, secondPath } = result.search;
+    const other = count === 0 ? null : solutionPathToString(firstPath) === solutionPathToString(path) ? secondPath : firstPath;
+    const split = other ? other.findIndex(([r, c], i) => r !== path[i][0] || c !== path[i][1]) : -1;
+    let pick = split === -1 ? undefined : [split, path.findIndex(([r, c]) => r === other[split][0] && c === other[split][1])]
+      .find((step) => !steps.includes(step));
+    if (pick === undefined) {
+      let gapAt = 0;
+      for (let i = 1; i < steps.length - 1; i++) {
+        if (steps[i + 1] - steps[i] > steps[gapAt + 1] - steps[gapAt]) gapAt = i;
+      }
+      if (steps[gapAt + 1] - steps[gapAt] < 2) return null;
+      pick = Math.floor((steps[gapAt] + steps[gapAt + 1]) / 2);
+    }
 
-  for (let k = 1; k <= K; k++) {
-    const [r, c] = cells[k - 1];
-    grid[r][c] = k;
+    steps = [...steps, pick].sort((a, b) => a - b);
+    result = check(steps);
   }
 
-  return grid;
-}
-
-function generateSolvablePuzzle(n, maxAttempts = 2000) {
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    const grid = randomPuzzleGrid(n);
-    const sol = solveZipDFS(grid);
-    if (sol) return { grid, solutionPath: sol };
+  for (const step of shuffle(steps.slice(1, -1))) {
+    const fewer = steps.filter((s) => s !== step);
+    const attempt = check(fewer);
+    if (attempt.unique) {
+      steps = fewer;
+      result = attempt;
+    }
   }
-  return null;
-}
 
-// --------------------------
-// Main: append + avoid duplicates + never hangs
-// --------------------------
-function main() {
-  const outPath = path.join(process.cwd(), ARGS.outFile);
+  const { grid, search } = result;
+  return { grid, walls, solutionPath: search.firstPath, difficulty: rateDifficulty(grid, search.firstPath, search.stats) };
+}
 
+// Existing puzzles, dedupe sets (identical grid / identical solver path) and the next free id
+function loadCatalogue(outPath) {
   const existingJson = safeReadJson(outPath);
   const existing = Array.isArray(existingJson?.zips) ? existingJson.zips : [];
 
@@ -396,13 +514,11 @@ function main() {
   for (const p of existing) {
     if (!p) continue;
 
-    let grid = null;
-    if (Array.isArray(p.grid)) grid = p.grid;
-    else if (typeof p.grid === "string") grid = prettyStringToGrid(p.grid); // backward compat
+    const grid = readPuzzleGrid(p);
     if (!grid) continue;
 
-    const n = grid.length;
-    seenGrids.add(puzzleGridKey(n, grid));
+    const walls = readPuzzleWalls(p, grid);
+    seenGrids.add(puzzleGridKey(grid, walls));
 
     if (Number.isFinite(p.id)) nextId = Math.max(nextId, p.id + 1);
 
@@ -411,15 +527,80 @@ function main() {
     else if (typeof p.solutionPath === "string") sol = stringToSolutionPath(p.solutionPath);
 
     // If solution missing/invalid, recompute (now with pruning)
-    if (!sol) sol = solveZipDFS(grid);
+    if (!sol) sol = solveZipDFS(grid, null, walls);
 
-    if (sol) seenSolutions.add(puzzleSolutionKey(n, sol));
+    if (sol) seenSolutions.add(puzzleSolutionKey(grid, sol));
   }
 
+  return { existing, seenGrids, seenSolutions, nextId };
+}
+
+// --------------------------
+// Main: append + avoid duplicates + never hangs
+// --------------------------
+// One generation attempt for a board size, from its own seed (so any puzzle can be made again)
+function generateAttempt({ rows, cols, seed }, opts) {
+  useSeed(seed);
+  return opts.strategy === "path"
+    ? generatePathFirstPuzzle(rows, cols, opts.walls)
+    : generateSolvablePuzzle(rows, cols, 2000, opts.unique, opts.walls);
+}
+
+// Worker side of --workers: run attempts as the main thread hands them out
+function runWorker() {
+  parentPort.on("message", (task) => {
+    parentPort.postMessage({ task, result: generateAttempt(task, workerData) });
+  });
+}
+
+// Keeps `count` workers busy with tasks from nextTask() while keepGoing() is true, passing each
+// result to onResult in the main thread. Results that arrive after keepGoing() turned false
+// are dropped, so a size never ends up with more puzzles than its target.
+function createWorkerPool(count, opts) {
+  const workers = Array.from({ length: count }, () => new Worker(__filename, { workerData: opts }));
+
+  return {
+    run(keepGoing, nextTask, onResult) {
+      return new Promise((resolve, reject) => {
+        let busy = 0;
+        const feed = (worker) => {
+          if (!keepGoing()) {
+            if (busy === 0) resolve();
+            return;
+          }
+          busy++;
+          worker.postMessage(nextTask());
+        };
+        for (const worker of workers) {
+          worker.removeAllListeners("message");
+          worker.removeAllListeners("error");
+          worker.on("message", ({ task, result }) => {
+            busy--;
+            if (keepGoing()) onResult(task, result);
+            feed(worker);
+          });
+          worker.on("error", reject);
+        }
+        workers.forEach(feed);
+      });
+    },
+
+    close() {
+      return Promise.all(workers.map((w) => w.terminate()));
+    },
+  };
+}
+
+async function main() {
+  const outPath = path.join(process.cwd(), ARGS.outFile);
+
+  const { existing, seenGrids, seenSolutions, nextId: firstNewId } = loadCatalogue(outPath);
+  let nextId = firstNewId;
+
   const puzzles = existing.slice();
 
-  // Distribute count across sizes
-  const sizes = ARGS.sizes.slice().sort((a, b) => a - b);
+  // Distribute count across sizes (smallest boards first)
+  const sizes = ARGS.sizes.slice().sort((a, b) => a.rows * a.cols - b.rows * b.cols || a.rows - b.rows);
   const perSizeBase = Math.floor(ARGS.count / sizes.length);
   let remainder = ARGS.count - perSizeBase * sizes.length;
 
@@ -430,37 +611,52 @@ function main() {
     targets.set(s, perSizeBase + add);
   }
 
-  console.log(`Generating ${ARGS.count} NEW puzzles across sizes: ${sizes.join(", ")}`);
+  const batchSeed = ARGS.seed !== null ? ARGS.seed : Math.floor(Math.random() * 2 ** 32);
+  const opts = { strategy: ARGS.strategy, walls: ARGS.walls, unique: ARGS.unique };
+  let attemptNo = 0;
+
+  console.log(
+    `Generating ${ARGS.count} NEW${ARGS.unique ? " unique" : ""} puzzles across sizes: ${sizes.map((s) => shapeLabel(s.rows, s.cols)).join(", ")}` +
+      (ARGS.walls ? ` (up to ${ARGS.walls} walls each)` : "") +
+      (ARGS.strategy !== "random" ? ` with the ${ARGS.strategy} strategy` : "")
+  );
   console.log(
     `Targets: ${Array.from(targets.entries())
-      .map(([n, t]) => `${n}x${n}:${t}`)
+      .map(([s, t]) => `${shapeLabel(s.rows, s.cols)}:${t}`)
       .join(" | ")}`
   );
+  console.log(`Seed: ${batchSeed}${ARGS.workers > 1 ? ` | Workers: ${ARGS.workers}` : ""}`);
   console.log(`Appending into: ${outPath}`);
   console.log(`Already in file: ${existing.length} puzzles`);
 
   const MAX_CONSECUTIVE_FAILS = 100;
   const HEARTBEAT_EVERY_FAILS = 10;
 
-  for (const n of sizes) {
-    const target = targets.get(n) || 0;
+  const pool = ARGS.workers > 1 ? createWorkerPool(ARGS.workers, opts) : null;
+
+  for (const size of sizes) {
+    const target = targets.get(size) || 0;
+    const label = shapeLabel(size.rows, size.cols);
 
     let got = 0;
     let consecutiveFails = 0;
     let totalAttempts = 0;
+    let gaveUp = false;
 
-    console.log(`  [${n}x${n}] target=${target}`);
+    console.log(`  [${label}] target=${target}`);
 
-    while (got < target) {
-      totalAttempts++;
+    const keepGoing = () => got < target && !gaveUp;
+    const nextTask = () => ({ rows: size.rows, cols: size.cols, seed: attemptSeed(batchSeed, attemptNo++) });
 
-      const result = generateSolvablePuzzle(n, 2000);
+    // Dedupe, save and log one finished attempt (from this thread or a worker)
+    const record = (task, result) => {
+      totalAttempts++;
 
       if (!result) {
         consecutiveFails++;
       } else {
-        const gKey = puzzleGridKey(n, result.grid);
-        const sKey = puzzleSolutionKey(n, result.solutionPath);
+        const gKey = puzzleGridKey(result.grid, result.walls);
+        const sKey = puzzleSolutionKey(result.grid, result.solutionPath);
 
         if (seenGrids.has(gKey) || seenSolutions.has(sKey)) {
           consecutiveFails++;
@@ -472,13 +668,19 @@ function main() {
           puzzles.push({
             id: nextId++,
             grid: result.grid, // ✅ valid 2D array
+            ...(result.walls.length ? { walls: result.walls } : {}),
             solutionPath: solutionPathToString(result.solutionPath), // compact
+            difficulty: result.difficulty,
+            generator: { seed: task.seed, ...opts },
           });
 
           got++;
           consecutiveFails = 0;
 
-          console.log(`  [${n}x${n}] added ${got}/${target} (attempts=${totalAttempts})`);
+          console.log(
+            `  [${label}] added ${got}/${target} (attempts=${totalAttempts}, ${result.difficulty.tier} ${result.difficulty.score}` +
+              `${result.walls.length ? `, ${result.walls.length} walls` : ""}, seed ${task.seed})`
+          );
 
           // Save after every success
           writeOut(outPath, puzzles);
@@ -487,15 +689,24 @@ function main() {
 
       if (consecutiveFails > 0 && consecutiveFails % HEARTBEAT_EVERY_FAILS === 0) {
         console.log(
-          `  [${n}x${n}] still searching... consecutiveFails=${consecutiveFails}/${MAX_CONSECUTIVE_FAILS} (got=${got}/${target}, attempts=${totalAttempts})`
+          `  [${label}] still searching... consecutiveFails=${consecutiveFails}/${MAX_CONSECUTIVE_FAILS} (got=${got}/${target}, attempts=${totalAttempts})`
         );
       }
 
       if (consecutiveFails >= MAX_CONSECUTIVE_FAILS) {
         console.log(
-          `  [${n}x${n}] moving on after ${consecutiveFails} consecutive failures (got=${got}/${target}, attempts=${totalAttempts})`
+          `  [${label}] moving on after ${consecutiveFails} consecutive failures (got=${got}/${target}, attempts=${totalAttempts})`
         );
-        break;
+        gaveUp = true;
+      }
+    };
+
+    if (pool) {
+      await pool.run(keepGoing, nextTask, record);
+    } else {
+      while (keepGoing()) {
+        const task = nextTask();
+        record(task, generateAttempt(task, opts));
       }
     }
 
@@ -503,8 +714,328 @@ function main() {
     writeOut(outPath, puzzles);
   }
 
+  if (pool) await pool.close();
   console.log(`Done. Total puzzles now: ${puzzles.length}`);
 }
 
-main();
+// --------------------------
+// Audit: which existing puzzles have more than one solution?
+// --------------------------
+function audit() {
+  const outPath = path.join(process.cwd(), ARGS.outFile);
+  const json = safeReadJson(outPath);
+  const zips = Array.isArray(json?.zips) ? json.zips : [];
+
+  console.log(`Auditing ${zips.length} puzzles in ${outPath} for uniqueness...`);
+
+  const ambiguous = [];
+  const unsolvable = [];
+  for (const p of zips) {
+    const grid = readPuzzleGrid(p);
+    const count = grid ? countZipSolutions(grid, 2, readPuzzleWalls(p, grid)) : 0;
+    if (count === 0) unsolvable.push(p?.id);
+    else if (count > 1) {
+      ambiguous.push(p.id);
+      console.log(`  #${p.id} (${gridShape(grid)}): more than one solution`);
+    }
+  }
+
+  const uniqueCount = zips.length - ambiguous.length - unsolvable.length;
+  console.log(`Unique: ${uniqueCount} | Ambiguous: ${ambiguous.length} | Unsolvable: ${unsolvable.length}`);
+  if (ambiguous.length) console.log(`Ambiguous ids: ${ambiguous.join(", ")}`);
+  if (unsolvable.length) console.log(`Unsolvable ids: ${unsolvable.join(", ")}`);
+
+  // Non-zero exit so this can gate scripts/CI
+  if (ambiguous.length || unsolvable.length) process.exitCode = 1;
+}
+
+// --------------------------
+// Validate: check every puzzles.json entry before the site serves it (--fix repairs the file)
+// - ids are whole numbers and unique
+// - grids are 2D arrays (square or rectangular) numbered 1..K with no gaps or repeats
+// - walls (if any) join adjacent cells
+// - solutionPath solves the grid (--fix recomputes it; entries that can't be solved are dropped)
+// - no puzzle repeats another one, even rotated or mirrored (--fix keeps the first copy)
+// --------------------------
+// Same rules as the server's gridProblem(), with a message for the report
+function gridProblem(grid) {
+  const rows = Array.isArray(grid) ? grid.length : 0;
+  const cols = rows && Array.isArray(grid[0]) ? grid[0].length : 0;
+  if (rows < 2 || cols < 2 || !grid.every((row) => Array.isArray(row) && row.length === cols && row.every(Number.isInteger))) {
+    return "grid is not a rectangular 2D array of whole numbers (at least 2x2)";
+  }
+  if (checkpointCount(grid) === null) return "numbers don't run 1..K without gaps or repeats";
+  return null;
+}
+
+// One of the 8 rotations/mirror images of a board: transpose (bit 4), then flip rows (bit 1)
+// and columns (bit 2). Walls move with their cells.
+function transformPuzzle(grid, walls, t) {
+  const rows = t & 4 ? grid[0].length : grid.length;
+  const cols = t & 4 ? grid.length : grid[0].length;
+  const move = (r, c) => {
+    if (t & 4) [r, c] = [c, r];
+    return [t & 1 ? rows - 1 - r : r, t & 2 ? cols - 1 - c : c];
+  };
+
+  const out = makeEmptyGrid(rows, cols);
+  grid.forEach((row, r) =>
+    row.forEach((v, c) => {
+      const [r2, c2] = move(r, c);
+      out[r2][c2] = v;
+    })
+  );
+  const movedWalls = walls.map(([r1, c1, r2, c2]) => [...move(r1, c1), ...move(r2, c2)]);
+  return { grid: out, walls: normalizeWalls(movedWalls, rows, cols) };
+}
+
+// Identical for a puzzle and all of its rotations and mirror images
+function symmetricPuzzleKey(grid, walls) {
+  let best = null;
+  for (let t = 0; t < 8; t++) {
+    const moved = transformPuzzle(grid, walls, t);
+    const key = puzzleGridKey(moved.grid, moved.walls);
+    if (best === null || key < best) best = key;
+  }
+  return best;
+}
+
+function validate() {
+  const outPath = path.join(process.cwd(), ARGS.outFile);
+  const json = safeReadJson(outPath);
+  if (!Array.isArray(json?.zips)) {
+    console.error(`${outPath} has no "zips" array.`);
+    process.exitCode = 1;
+    return;
+  }
+  const zips = json.zips;
+
+  console.log(`Validating ${zips.length} puzzles in ${outPath}${ARGS.fix ? " (fixing)" : ""}...`);
+
+  const kept = [];
+  const seenIds = new Map();
+  const seenPuzzles = new Map();
+  let problems = 0;
+  let repaired = 0;
+  let dropped = 0;
+
+  zips.forEach((p, index) => {
+    const label = Number.isInteger(p?.id) ? `#${p.id}` : `entry ${index}`;
+    const report = (message) => {
+      problems++;
+      console.log(`  ${label}: ${message}`);
+    };
+    const drop = (message) => {
+      report(message);
+      dropped++;
+    };
+
+    if (!p || typeof p !== "object") return drop("not an object");
+    if (!Number.isInteger(p.id) || p.id < 1) return drop(`id ${JSON.stringify(p.id)} is not a positive whole number`);
+    if (seenIds.has(p.id)) return drop(`id already used by entry ${seenIds.get(p.id)}`);
+
+    // Old files stored the grid as a pretty string; zip.js needs the 2D array
+    const grid = typeof p.grid === "string" ? prettyStringToGrid(p.grid) : p.grid;
+    const gridIssue = gridProblem(grid);
+    if (gridIssue) return drop(gridIssue);
+    let fixed = false;
+    if (typeof p.grid === "string") {
+      report("grid is stored as a string, not a 2D array");
+      fixed = true;
+    }
+
+    const walls = normalizeWalls(p.walls, grid.length, grid[0].length);
+    if (!walls) return drop("walls must be [r1, c1, r2, c2] edges between adjacent cells on the board");
+
+    const key = symmetricPuzzleKey(grid, walls);
+    if (seenPuzzles.has(key)) return drop(`same puzzle as #${seenPuzzles.get(key)} (up to rotation/mirroring)`);
+
+    let sol = null;
+    if (Array.isArray(p.solutionPath)) sol = p.solutionPath;
+    else if (typeof p.solutionPath === "string") sol = stringToSolutionPath(p.solutionPath);
+    const pathIssue = sol ? checkSolutionPath(grid, sol, walls) : { code: "missing" };
+    if (pathIssue) {
+      report(`solutionPath is not a solution (${pathIssue.code}${pathIssue.at != null ? ` at step ${pathIssue.at}` : ""})`);
+      if (ARGS.fix) {
+        sol = solveZipDFS(grid, null, walls);
+        if (!sol) {
+          console.log(`  ${label}: no solution, dropped`);
+          dropped++;
+          return;
+        }
+      }
+      fixed = true;
+    }
+
+    seenIds.set(p.id, index);
+    seenPuzzles.set(key, p.id);
+    if (fixed) repaired++;
+    kept.push(fixed && ARGS.fix ? { ...p, grid, solutionPath: solutionPathToString(sol) } : p);
+  });
+
+  console.log(
+    `Checked ${zips.length} | Problems: ${problems} | ${ARGS.fix ? "Repaired" : "To repair"}: ${repaired} | ` +
+      `${ARGS.fix ? "Dropped" : "To drop"}: ${dropped}`
+  );
+
+  if (!problems) return;
+  if (ARGS.fix) {
+    writeOut(outPath, kept);
+    console.log(`Wrote ${kept.length} puzzles to ${outPath}.`);
+  } else {
+    console.log(`Run "node generate.js validate --fix" to repair the file.`);
+    // Non-zero exit so this can gate scripts/CI
+    process.exitCode = 1;
+  }
+}
+
+// --------------------------
+// Rate: backfill difficulty for existing puzzles (all of them with --force)
+// --------------------------
+function rate() {
+  const outPath = path.join(process.cwd(), ARGS.outFile);
+  const json = safeReadJson(outPath);
+  const zips = Array.isArray(json?.zips) ? json.zips : [];
+
+  console.log(`Rating ${zips.length} puzzles in ${outPath}${ARGS.force ? " (recomputing all)" : ""}...`);
+
+  const tally = {};
+  let rated = 0;
+  for (const p of zips) {
+    if (!p) continue;
+    if (p.difficulty && !ARGS.force) {
+      tally[p.difficulty.tier] = (tally[p.difficulty.tier] || 0) + 1;
+      continue;
+    }
+
+    const grid = readPuzzleGrid(p);
+    const { firstPath, stats } = grid ? searchZip(grid, 1, null, Infinity, readPuzzleWalls(p, grid)) : {};
+    if (!firstPath) {
+      console.log(`  #${p.id}: no solution, skipped`);
+      continue;
+    }
+
+    p.difficulty = rateDifficulty(grid, firstPath, stats);
+    tally[p.difficulty.tier] = (tally[p.difficulty.tier] || 0) + 1;
+    rated++;
+
+    if (rated % 50 === 0) console.log(`  rated ${rated}...`);
+  }
+
+  writeOut(outPath, zips);
+  console.log(`Done. Rated ${rated} puzzles.`);
+  console.log(
+    `Tiers: ${DIFFICULTY_TIERS.map(({ tier }) => `${tier}:${tally[tier] || 0}`).join(" | ")}`
+  );
+}
+
+// --------------------------
+// Export: plain-text grids with their share codes (all puzzles, or --ids).
+// Neither format has walls, so puzzles with walls are listed without a code.
+// --------------------------
+function exportPuzzles() {
+  const outPath = path.join(process.cwd(), ARGS.outFile);
+  const json = safeReadJson(outPath);
+  const zips = Array.isArray(json?.zips) ? json.zips : [];
+  const wanted = ARGS.ids ? new Set(ARGS.ids) : null;
+
+  const blocks = [];
+  for (const p of zips) {
+    if (!p || (wanted && !wanted.has(p.id))) continue;
+    const grid = readPuzzleGrid(p);
+    if (!grid) continue;
+    const walls = readPuzzleWalls(p, grid);
+    const code = walls.length ? `- (${walls.length} walls not included)` : encodePuzzleCode(grid) || "-";
+    blocks.push(`# Zip #${p.id} (${gridShape(grid)}) code: ${code}\n${gridToAscii(grid)}`);
+  }
+  console.log(blocks.join("\n\n"));
+}
+
+// --------------------------
+// Import: append puzzles from a text file (--file). Puzzles are separated by blank lines;
+// each one is a plain-text grid (see gridToAscii) or a share code on a line of its own.
+// Duplicates and grids that don't solve are skipped; --unique also skips ambiguous ones.
+// --------------------------
+function parseImportBlocks(text) {
+  const out = [];
+  for (const block of text.split(/\r?\n\s*\r?\n/)) {
+    const lines = block.split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith("#"));
+    if (lines.length === 0) continue;
+    const grid = lines.length === 1 && !/\s/.test(lines[0])
+      ? decodePuzzleCode(lines[0])
+      : asciiToGrid(lines.join("\n"));
+    out.push({ source: lines[0], grid });
+  }
+  return out;
+}
+
+function importPuzzles() {
+  if (!ARGS.file) {
+    console.error("Usage: node generate.js import --file grids.txt [--out file] [--unique]");
+    process.exitCode = 1;
+    return;
+  }
+  const inPath = path.resolve(process.cwd(), ARGS.file);
+  const outPath = path.join(process.cwd(), ARGS.outFile);
+  const { existing, seenGrids, seenSolutions, nextId: firstNewId } = loadCatalogue(outPath);
+  let nextId = firstNewId;
+  const puzzles = existing.slice();
+
+  const entries = parseImportBlocks(fs.readFileSync(inPath, "utf8"));
+  console.log(`Importing ${entries.length} puzzles from ${inPath} into ${outPath}`);
+
+  let added = 0;
+  let skipped = 0;
+  for (const { source, grid } of entries) {
+    if (!grid) {
+      console.log(`  skipped "${source}": not a grid or share code`);
+      skipped++;
+      continue;
+    }
+    const shape = gridShape(grid);
+    const { count, firstPath, stats } = searchZip(grid, ARGS.unique ? 2 : 1);
+    let problem = null;
+    if (!firstPath) problem = "no solution";
+    else if (ARGS.unique && count > 1) problem = "more than one solution";
+    else if (seenGrids.has(puzzleGridKey(grid)) || seenSolutions.has(puzzleSolutionKey(grid, firstPath))) {
+      problem = "duplicate";
+    }
+    if (problem) {
+      console.log(`  skipped "${source}" (${shape}): ${problem}`);
+      skipped++;
+      continue;
+    }
+
+    seenGrids.add(puzzleGridKey(grid));
+    seenSolutions.add(puzzleSolutionKey(grid, firstPath));
+    const difficulty = rateDifficulty(grid, firstPath, stats);
+    puzzles.push({
+      id: nextId++,
+      grid,
+      solutionPath: solutionPathToString(firstPath),
+      difficulty,
+    });
+    added++;
+    console.log(`  added #${nextId - 1} (${shape}, ${difficulty.tier} ${difficulty.score})`);
+  }
+
+  if (added) writeOut(outPath, puzzles);
+  console.log(`Done. Added ${added}, skipped ${skipped}. Total puzzles now: ${puzzles.length}`);
+}
+
+if (!isMainThread) runWorker();
+else if (ARGS.command === "audit") audit();
+else if (ARGS.command === "validate") validate();
+else if (ARGS.command === "rate") rate();
+else if (ARGS.command === "export") exportPuzzles();
+else if (ARGS.command === "import") importPuzzles();
+else if (ARGS.command === "generate") {
+  main().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+} else {
+  console.error(`Unknown command "${ARGS.command}". Use "generate" (default), "audit", "validate", "rate", "export" or "import".`);
+  process.exitCode = 1;
+}
 
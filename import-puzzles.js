@@ -0,0 +1,78 @@
+// import-puzzles.js
+// Copies puzzles.json (generate.js output) into the MongoDB `puzzles` collection.
+//
+//   node import-puzzles.js [--file puzzles.json]
+//
+// Safe to re-run: puzzles are upserted by id, so existing ids are updated in place
+// and nothing is deleted. Entries that don't solve under the shared rules are skipped.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const Puzzle = require('./models/Puzzle');
+const { checkSolutionPath, solveZipDFS, solutionPathToString, stringToSolutionPath, normalizeWalls } = require('./zip-engine');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/zipdb';
+
+function parseArgs(argv) {
+  const out = { file: 'puzzles.json' };
+  for (let i = 2; i < argv.length; i++) {
+    if (argv[i] === '--file') out.file = String(argv[++i]);
+  }
+  return out;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const filePath = path.resolve(process.cwd(), args.file);
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const zips = Array.isArray(data.zips) ? data.zips : [];
+
+  await mongoose.connect(MONGODB_URI);
+  console.log(`Importing ${zips.length} puzzles from ${filePath} into ${MONGODB_URI}`);
+
+  let imported = 0;
+  let skipped = 0;
+  for (const z of zips) {
+    const id = Number(z && z.id);
+    if (!Number.isFinite(id) || !Array.isArray(z.grid)) {
+      skipped++;
+      continue;
+    }
+
+    const walls = normalizeWalls(z.walls, z.grid.length, z.grid[0].length);
+    if (!walls) {
+      console.log(`  #${id}: malformed walls, skipped`);
+      skipped++;
+      continue;
+    }
+
+    // Keep the stored solution if it checks out, otherwise solve again
+    let sol = stringToSolutionPath(z.solutionPath);
+    if (!sol || checkSolutionPath(z.grid, sol, walls)) sol = solveZipDFS(z.grid, null, walls);
+    if (!sol) {
+      console.log(`  #${id}: no solution, skipped`);
+      skipped++;
+      continue;
+    }
+
+    const doc = await Puzzle.findOne({ puzzleId: id }) || new Puzzle({ puzzleId: id });
+    doc.grid = z.grid;
+    doc.walls = walls;
+    doc.solutionPath = solutionPathToString(sol);
+    doc.difficulty = z.difficulty || null;
+    await doc.save();
+    imported++;
+  }
+
+  console.log(`Done. Imported ${imported}, skipped ${skipped}.`);
+}
+
+main()
+  .catch(err => {
+    console.error('Import failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
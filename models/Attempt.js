@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Every verified solve, kept forever. Progress is derived from these.
+const attemptSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true
+  },
+  puzzleId: {
+    type: Number,
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: {
+    type: Date,
+    required: true
+  },
+  durationMs: {
+    type: Number,
+    required: true
+  },
+  hintsUsed: {
+    type: Number,
+    default: 0
+  },
+  revealed: {
+    type: Boolean,
+    default: false
+  },
+  // Board rows and columns (gridCols is missing on square puzzles recorded before boards could be rectangular)
+  gridSize: {
+    type: Number,
+    default: null
+  },
+  gridCols: {
+    type: Number,
+    default: null
+  },
+  numbersCount: {
+    type: Number,
+    default: null
+  },
+  // Outbox item id from the page (zip-sync.js), so a solve sent twice is only kept once
+  clientId: {
+    type: String,
+    default: null
+  },
+  // Timestamped move log for replays ({ t, op, r, c } entries, see zip-engine.js).
+  // Only selected when a replay asks for it with +moves.
+  moves: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+attemptSchema.index({ username: 1, puzzleId: 1, finishedAt: 1 });
+// Older attempts (and ones sent without an outbox id) have no clientId and aren't checked
+attemptSchema.index(
+  { username: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Attempt', attemptSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Which puzzle was picked for each calendar day. Stored so the pick stays fixed
+// even if the catalogue changes later in the day.
+const dailyPuzzleSchema = new mongoose.Schema({
+  date: {
+    type: String, // YYYY-MM-DD in the daily timezone
+    required: true,
+    unique: true
+  },
+  puzzleId: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('DailyPuzzle', dailyPuzzleSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const dailyResultSchema = new mongoose.Schema({
+  date: {
+    type: String, // YYYY-MM-DD in the daily timezone
+    required: true
+  },
+  username: {
+    type: String,
+    required: true,
+    index: true
+  },
+  puzzleId: {
+    type: Number,
+    required: true
+  },
+  timeMs: {
+    type: Number,
+    required: true
+  },
+  // Assists: hinted results are flagged on the leaderboard, revealed ones are left off it
+  hintsUsed: {
+    type: Number,
+    default: 0
+  },
+  revealed: {
+    type: Boolean,
+    default: false
+  },
+  // Move log for replays, as on Attempt
+  moves: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// One result per user per day (the first solve counts)
+dailyResultSchema.index({ date: 1, username: 1 }, { unique: true });
+dailyResultSchema.index({ date: 1, timeMs: 1 });
+
+module.exports = mongoose.model('DailyResult', dailyResultSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A puzzle someone has started but not solved yet, so it can be resumed on any device.
+// key is the client's progress key: the puzzle id ("12") or "daily-YYYY-MM-DD".
+const inProgressSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // [[r, c], ...] from the 1 onwards
+  path: {
+    type: [[Number]],
+    default: []
+  },
+  elapsedMs: {
+    type: Number,
+    default: 0
+  },
+  // Move log so far (see zip-engine.js), so a resumed solve still replays from the start
+  moves: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Hints used so far (they follow the puzzle to other devices)
+  hintsUsed: {
+    type: Number,
+    default: 0
+  },
+  // Client clock of the last change; the newer of the local and server copy wins
+  savedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+inProgressSchema.index({ username: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('InProgress', inProgressSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// A puzzle designed on the /editor page, waiting for an admin to approve it into the catalogue
+const pendingPuzzleSchema = new mongoose.Schema({
+  submittedBy: {
+    type: String,
+    required: true,
+    index: true
+  },
+  grid: {
+    type: [[Number]],
+    required: true
+  },
+  // Rows; gridCols is the column count (boards can be rectangular)
+  gridSize: {
+    type: Number,
+    required: true
+  },
+  gridCols: {
+    type: Number,
+    required: true
+  },
+  numbersCount: {
+    type: Number,
+    required: true
+  },
+  // Same compact format as Puzzle.solutionPath, and just as hidden
+  solutionPath: {
+    type: String,
+    select: false
+  },
+  unique: {
+    type: Boolean,
+    default: false
+  },
+  difficulty: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+    index: true
+  },
+  reviewedBy: {
+    type: String,
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  // Shown to the designer, e.g. why it was rejected
+  note: {
+    type: String,
+    default: ''
+  },
+  // Catalogue id once approved
+  puzzleId: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Derived metadata always follows the grid
+pendingPuzzleSchema.pre('validate', function() {
+  if (!Array.isArray(this.grid)) return;
+  this.gridSize = this.grid.length;
+  this.gridCols = this.grid.length ? this.grid[0].length : 0;
+  this.numbersCount = this.grid.flat().filter(x => x !== 0).length;
+});
+
+module.exports = mongoose.model('PendingPuzzle', pendingPuzzleSchema);
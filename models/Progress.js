@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+// Per user per puzzle summary, derived from the Attempt collection:
+// the first solve and the personal best. Revealed attempts don't count as solves.
 const progressSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -10,14 +12,47 @@ const progressSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Personal best (what rankings use)
   timeMs: {
     type: Number,
     required: true
   },
+  bestSolvedAt: {
+    type: Date,
+    default: null
+  },
+  // Hints used on the personal best (hinted bests are flagged on leaderboards)
+  hintsUsed: {
+    type: Number,
+    default: 0
+  },
+  // Best time without hints, for the no-assist rankings (null if every solve used hints)
+  cleanTimeMs: {
+    type: Number,
+    default: null
+  },
+  // First solve (older rows from before attempts were kept may not have these)
+  firstTimeMs: {
+    type: Number,
+    default: null
+  },
+  firstSolvedAt: {
+    type: Date,
+    default: null
+  },
+  solveCount: {
+    type: Number,
+    default: 1
+  },
+  // Board rows and columns (gridCols is missing on square puzzles recorded before boards could be rectangular)
   gridSize: {
     type: Number,
     default: null
   },
+  gridCols: {
+    type: Number,
+    default: null
+  },
   numbersCount: {
     type: Number,
     default: null
@@ -29,4 +64,83 @@ const progressSchema = new mongoose.Schema({
 // Compound index: one record per user per puzzle
 progressSchema.index({ username: 1, puzzleId: 1 }, { unique: true });
 
+// Fold one new attempt into the summary (keeps the first solve, lowers the best)
+progressSchema.statics.recordAttempt = async function(attempt) {
+  if (attempt.revealed) return this.findOne({ username: attempt.username, puzzleId: attempt.puzzleId });
+
+  let doc = await this.findOne({ username: attempt.username, puzzleId: attempt.puzzleId });
+  if (!doc) {
+    try {
+      return await this.create({
+        username: attempt.username,
+        puzzleId: attempt.puzzleId,
+        timeMs: attempt.durationMs,
+        bestSolvedAt: attempt.finishedAt,
+        hintsUsed: attempt.hintsUsed,
+        cleanTimeMs: attempt.hintsUsed ? null : attempt.durationMs,
+        firstTimeMs: attempt.durationMs,
+        firstSolvedAt: attempt.finishedAt,
+        solveCount: 1,
+        gridSize: attempt.gridSize,
+        gridCols: attempt.gridCols,
+        numbersCount: attempt.numbersCount
+      });
+    } catch (err) {
+      // Another solve of the same puzzle created the row first: fold this one into it
+      if (err.code !== 11000) throw err;
+      doc = await this.findOne({ username: attempt.username, puzzleId: attempt.puzzleId });
+    }
+  }
+
+  // Rows from before attempts were recorded: their one stored time was the first we know of
+  if (doc.firstTimeMs == null) {
+    doc.firstTimeMs = doc.timeMs;
+    doc.firstSolvedAt = doc.createdAt;
+    if (doc.cleanTimeMs == null && !doc.hintsUsed) doc.cleanTimeMs = doc.timeMs;
+  }
+  if (attempt.durationMs < doc.timeMs) {
+    doc.timeMs = attempt.durationMs;
+    doc.bestSolvedAt = attempt.finishedAt;
+    doc.hintsUsed = attempt.hintsUsed;
+  }
+  if (!attempt.hintsUsed && (doc.cleanTimeMs == null || attempt.durationMs < doc.cleanTimeMs)) {
+    doc.cleanTimeMs = attempt.durationMs;
+  }
+  doc.solveCount = (doc.solveCount || 1) + 1;
+  return doc.save();
+};
+
+// Recompute the summary from scratch (e.g. after an attempt was removed).
+// Removes the row when no counted attempts are left.
+progressSchema.statics.rebuild = async function(username, puzzleId) {
+  const Attempt = mongoose.model('Attempt');
+  const attempts = await Attempt.find({ username, puzzleId, revealed: { $ne: true } }).sort({ finishedAt: 1 });
+  if (attempts.length === 0) {
+    await this.deleteOne({ username, puzzleId });
+    return null;
+  }
+
+  const first = attempts[0];
+  const best = attempts.reduce((a, b) => (b.durationMs < a.durationMs ? b : a));
+  const clean = attempts.filter(a => !a.hintsUsed).map(a => a.durationMs);
+  return this.findOneAndUpdate(
+    { username, puzzleId },
+    {
+      username,
+      puzzleId,
+      timeMs: best.durationMs,
+      bestSolvedAt: best.finishedAt,
+      hintsUsed: best.hintsUsed,
+      cleanTimeMs: clean.length ? Math.min(...clean) : null,
+      firstTimeMs: first.durationMs,
+      firstSolvedAt: first.finishedAt,
+      solveCount: attempts.length,
+      gridSize: first.gridSize,
+      gridCols: first.gridCols,
+      numbersCount: first.numbersCount
+    },
+    { upsert: true, new: true }
+  );
+};
+
 module.exports = mongoose.model('Progress', progressSchema);
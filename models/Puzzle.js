@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const puzzleSchema = new mongoose.Schema({
+  puzzleId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  grid: {
+    type: [[Number]],
+    required: true
+  },
+  // Rows; gridCols is the column count (boards can be rectangular)
+  gridSize: {
+    type: Number,
+    required: true
+  },
+  gridCols: {
+    type: Number,
+    required: true
+  },
+  numbersCount: {
+    type: Number,
+    required: true
+  },
+  // Compact "r,c;r,c;..." string. Never selected unless asked for with +solutionPath,
+  // so it can't leak into API responses by accident.
+  solutionPath: {
+    type: String,
+    select: false
+  },
+  difficulty: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Barriers the path can't cross: [r1, c1, r2, c2] edges between adjacent cells
+  walls: {
+    type: [[Number]],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// Derived metadata always follows the grid
+puzzleSchema.pre('validate', function() {
+  if (!Array.isArray(this.grid)) return;
+  this.gridSize = this.grid.length;
+  this.gridCols = this.grid.length ? this.grid[0].length : 0;
+  this.numbersCount = this.grid.flat().filter(x => x !== 0).length;
+});
+
+module.exports = mongoose.model('Puzzle', puzzleSchema);
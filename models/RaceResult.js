@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One finisher of a live race (see race-rooms.js). Kept apart from Attempt/Progress,
+// so race times don't count toward puzzle bests, rankings or ratings.
+const raceResultSchema = new mongoose.Schema({
+  raceId: {
+    type: String, // one per started race (room codes get reused)
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  username: {
+    type: String,
+    required: true,
+    index: true
+  },
+  puzzleId: {
+    type: Number,
+    required: true
+  },
+  // Finishing position and time from the shared start (measured by the server)
+  place: {
+    type: Number,
+    required: true
+  },
+  timeMs: {
+    type: Number,
+    required: true
+  },
+  players: {
+    type: Number,
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+raceResultSchema.index({ raceId: 1, username: 1 }, { unique: true });
+
+module.exports = mongoose.model('RaceResult', raceResultSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One-time password reset code issued by an admin. At most one live code per user.
+const resetCodeSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 of the code (the code itself is only shown to the admin once)
+  codeHash: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// TTL index: MongoDB removes codes once they expire
+resetCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ResetCode', resetCodeSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  // SHA-256 of the token handed to the client (the raw token is never stored)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  username: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// TTL index: MongoDB removes sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
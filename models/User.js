@@ -12,6 +12,33 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: true
+  },
+  // Admins can manage users and puzzles (grant with `npm run set-admin -- <username>`)
+  isAdmin: {
+    type: Boolean,
+    default: false
+  },
+  // Daily puzzle streaks (dates are YYYY-MM-DD in the daily timezone)
+  streakCurrent: {
+    type: Number,
+    default: 0
+  },
+  streakLongest: {
+    type: Number,
+    default: 0
+  },
+  lastDailyDate: {
+    type: String,
+    default: null
+  },
+  // Skill rating (see rating.js)
+  rating: {
+    type: Number,
+    default: 1500
+  },
+  ratedSolves: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
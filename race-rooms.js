@@ -0,0 +1,228 @@
+// race-rooms.js
+// Live head-to-head races: a host opens a room on a puzzle, others join with its code, and
+// everyone follows the room over Server-Sent Events (a countdown to one shared start time,
+// then each player's covered cells as they go).
+//
+// The server keeps the clock: a finish time is measured from the room's start, not reported
+// by the page. Rooms live in this process only, like the memory store in rate-limit.js; more
+// than one server would need a shared room store and a pub/sub channel for the events.
+//
+// Room states: lobby -> countdown -> racing -> finished
+
+const crypto = require('crypto');
+
+// Same alphabet as reset codes (no 0/O or 1/I), so a code can be read out across the room
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 5;
+
+function normalizeRoomCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function createRaceRooms({
+  countdownMs = 5000,
+  maxPlayers = 8,
+  maxRaceMs = 30 * 60 * 1000,   // a race still running after this is closed
+  idleMs = 30 * 60 * 1000       // rooms nobody is watching are dropped after this
+} = {}) {
+  const rooms = new Map();
+
+  function newCode() {
+    for (;;) {
+      const bytes = crypto.randomBytes(ROOM_CODE_LENGTH);
+      const code = Array.from(bytes, b => ROOM_CODE_ALPHABET[b % ROOM_CODE_ALPHABET.length]).join('');
+      if (!rooms.has(code)) return code;
+    }
+  }
+
+  // What every player sees. Until the race is on only the board shape is sent: the grid, and
+  // the puzzle id it could be looked up by, would give a head start.
+  function snapshot(room) {
+    const started = room.state === 'racing' || room.state === 'finished';
+    const puzzle = started ? room.puzzle : { n: room.puzzle.n, m: room.puzzle.m };
+    const connected = new Set(Array.from(room.clients, c => c.username));
+    return {
+      code: room.code,
+      host: room.host,
+      state: room.state,
+      startsAt: room.startsAt,
+      serverNow: Date.now(),
+      cells: room.cells,
+      puzzle,
+      players: Array.from(room.players.values(), p => ({
+        username: p.username,
+        cells: p.cells,
+        timeMs: p.timeMs,
+        place: p.place,
+        left: p.left,
+        connected: connected.has(p.username)
+      }))
+    };
+  }
+
+  function broadcast(room, event, data) {
+    room.touchedAt = Date.now();
+    for (const client of room.clients) sendEvent(client.res, event, data);
+  }
+
+  function broadcastState(room) {
+    broadcast(room, 'state', snapshot(room));
+  }
+
+  function endRace(room) {
+    if (room.state === 'finished') return;
+    clearTimeout(room.timer);
+    room.timer = null;
+    room.state = 'finished';
+    broadcastState(room);
+  }
+
+  // Everyone still in the race has crossed the line
+  function maybeEnd(room) {
+    const racing = Array.from(room.players.values()).filter(p => !p.left);
+    if (racing.every(p => p.timeMs != null)) endRace(room);
+  }
+
+  // Rooms nobody is connected to are dropped once idle (finished ones sooner)
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [code, room] of rooms) {
+      if (room.clients.size > 0) continue;
+      const idleFor = now - room.touchedAt;
+      if (idleFor > idleMs || (room.state === 'finished' && idleFor > 60 * 1000)) {
+        clearTimeout(room.timer);
+        rooms.delete(code);
+      }
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  // Proxies close quiet connections; a comment line every so often keeps them open
+  const heartbeat = setInterval(() => {
+    for (const room of rooms.values()) {
+      for (const client of room.clients) client.res.write(': ping\n\n');
+    }
+  }, 25 * 1000);
+  heartbeat.unref();
+
+  return {
+    // puzzle: public shape with grid and walls (see puzzleToJson in server.js)
+    create(host, puzzle) {
+      const room = {
+        code: newCode(),
+        raceId: null,
+        host,
+        puzzle,
+        cells: puzzle.grid.length * puzzle.grid[0].length,
+        state: 'lobby',
+        startsAt: null,
+        players: new Map(),
+        clients: new Set(),
+        timer: null,
+        touchedAt: Date.now()
+      };
+      room.players.set(host, { username: host, cells: 0, timeMs: null, place: null, left: false });
+      rooms.set(room.code, room);
+      return room;
+    },
+
+    get(code) {
+      return rooms.get(normalizeRoomCode(code)) || null;
+    },
+
+    snapshot,
+
+    // Returns an error code, or null once the player is in (joining again is fine)
+    join(room, username) {
+      const existing = room.players.get(username);
+      if (existing) {
+        if (existing.left && room.state === 'lobby') existing.left = false;
+        return null;
+      }
+      if (room.state !== 'lobby') return 'race_started';
+      if (room.players.size >= maxPlayers) return 'room_full';
+      room.players.set(username, { username, cells: 0, timeMs: null, place: null, left: false });
+      broadcastState(room);
+      return null;
+    },
+
+    // In the lobby a player is removed (the host role passes on); once started they stay on the board
+    leave(room, username) {
+      const player = room.players.get(username);
+      if (!player) return 'not_in_race';
+      if (room.state === 'lobby') {
+        room.players.delete(username);
+        if (room.players.size === 0) {
+          rooms.delete(room.code);
+          return null;
+        }
+        if (room.host === username) room.host = room.players.keys().next().value;
+      } else {
+        player.left = true;
+        if (room.state === 'racing') maybeEnd(room);
+      }
+      broadcastState(room);
+      return null;
+    },
+
+    // Host only: the countdown runs to one start time, and the grid goes out when it is reached
+    start(room, username) {
+      if (room.host !== username) return 'not_host';
+      if (room.state !== 'lobby') return 'race_started';
+
+      room.raceId = crypto.randomBytes(8).toString('hex');
+      room.state = 'countdown';
+      room.startsAt = Date.now() + countdownMs;
+      room.timer = setTimeout(() => {
+        room.state = 'racing';
+        room.timer = setTimeout(() => endRace(room), maxRaceMs);
+        broadcastState(room);
+      }, countdownMs);
+      broadcastState(room);
+      return null;
+    },
+
+    // Covered cells, for the other players' progress bars
+    progress(room, username, cells) {
+      const player = room.players.get(username);
+      if (!player) return 'not_in_race';
+      if (room.state !== 'racing') return 'not_racing';
+      if (player.timeMs != null) return 'already_finished';
+      player.cells = Math.max(0, Math.min(room.cells, cells));
+      broadcast(room, 'progress', { username, cells: player.cells });
+      return null;
+    },
+
+    // Call after the solution has been checked. Returns { timeMs, place } or { error }.
+    finish(room, username) {
+      const player = room.players.get(username);
+      if (!player) return { error: 'not_in_race' };
+      if (room.state !== 'racing') return { error: 'not_racing' };
+      if (player.timeMs != null) return { error: 'already_finished' };
+
+      player.cells = room.cells;
+      player.timeMs = Date.now() - room.startsAt;
+      player.place = Array.from(room.players.values()).filter(p => p.place != null).length + 1;
+      broadcastState(room);
+      maybeEnd(room);
+      return { timeMs: player.timeMs, place: player.place };
+    },
+
+    // Streams the room to one player until they disconnect (the response is already an event stream)
+    subscribe(room, username, res) {
+      const client = { username, res };
+      room.clients.add(client);
+      broadcastState(room);
+      return () => {
+        room.clients.delete(client);
+        broadcastState(room);
+      };
+    }
+  };
+}
+
+module.exports = { createRaceRooms };
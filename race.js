@@ -0,0 +1,447 @@
+// race.js
+// Live races: /race to host or join a room, /race?code=<room> to race in it. The server runs the
+// room and the clock (race-rooms.js); this page follows it over Server-Sent Events and plays on
+// the game's engine and board renderer.
+
+function getRaceCodeFromURL() {
+  return new URLSearchParams(window.location.search).get("code");
+}
+
+// POST to the race API. Resolves to { ok, status, data } (rejects only when offline).
+async function postRace(url, body = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json().catch(() => ({}));
+  return { ok: res.ok, status: res.status, data };
+}
+
+const RACE_ERRORS = {
+  not_found: "There's no room with that code (it may have closed).",
+  race_started: "That race has already started.",
+  room_full: "That room is full.",
+  not_host: "Only the host can start the race.",
+  not_in_race: "You're not in this race.",
+  not_racing: "The race isn't running.",
+  already_finished: "You've already finished.",
+  invalid_solution: "The server didn't accept that solution."
+};
+
+function raceErrorText({ status, data }) {
+  return RACE_ERRORS[data && data.error] || `Something went wrong (${status}).`;
+}
+
+function fmtMs(ms) {
+  return `${(ms / 1000).toFixed(3)}s`;
+}
+
+function ordinal(n) {
+  const suffixes = ["th", "st", "nd", "rd"];
+  const v = n % 100;
+  return n + (suffixes[(v - 20) % 10] || suffixes[v] || suffixes[0]);
+}
+
+(async function main() {
+  const me = window.zipSessionReady ? await window.zipSessionReady : null;
+  if (!me) return;
+
+  const code = getRaceCodeFromURL();
+  const entryEl = document.getElementById("raceEntry");
+  const roomEl = document.getElementById("raceRoom");
+  const entryMsgEl = document.getElementById("entryMsg");
+  const msgEl = document.getElementById("msg");
+
+  function setMsg(text, ok = null) {
+    msgEl.textContent = text;
+    msgEl.classList.toggle("ok", ok === true);
+    msgEl.classList.toggle("bad", ok === false);
+  }
+
+  // ----------------------------
+  // No room: host one on a puzzle, or join one by code
+  // ----------------------------
+  async function showEntry(message = "") {
+    entryEl.classList.remove("hidden");
+    roomEl.classList.add("hidden");
+    entryMsgEl.textContent = message;
+
+    document.getElementById("hostForm").addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const puzzleId = Number(document.getElementById("puzzleIdInput").value);
+      try {
+        const res = await postRace("/api/races", { puzzleId });
+        if (!res.ok) {
+          entryMsgEl.textContent = res.status === 404 ? `There's no puzzle #${puzzleId}.` : raceErrorText(res);
+          return;
+        }
+        window.location.href = `/race?code=${res.data.code}`;
+      } catch (err) {
+        entryMsgEl.textContent = "You're offline.";
+      }
+    });
+
+    document.getElementById("joinForm").addEventListener("submit", (e) => {
+      e.preventDefault();
+      const value = document.getElementById("codeInput").value.trim().toUpperCase();
+      if (value) window.location.href = `/race?code=${encodeURIComponent(value)}`;
+    });
+
+    // Your last few races
+    try {
+      const res = await fetch("/api/races/results", { cache: "no-store" });
+      if (!res.ok) return;
+      const results = await res.json();
+      if (!results.length) return;
+
+      const panel = document.getElementById("recentRaces");
+      const title = document.createElement("div");
+      title.className = "title";
+      title.textContent = "Your recent races";
+      const list = document.createElement("ol");
+      list.className = "daily-top";
+      for (const r of results) {
+        const li = document.createElement("li");
+        li.textContent = `Zip #${r.puzzleId} — ${ordinal(r.place)} of ${r.players}, ${fmtMs(r.timeMs)} ` +
+          `(${new Date(r.startedAt).toLocaleDateString()})`;
+        list.appendChild(li);
+      }
+      panel.append(title, list);
+      panel.classList.remove("hidden");
+    } catch (err) { /* panel stays hidden */ }
+  }
+
+  if (!code) {
+    showEntry();
+    return;
+  }
+
+  let joined;
+  try {
+    joined = await postRace(`/api/races/${encodeURIComponent(code)}/join`);
+  } catch (err) {
+    showEntry("You're offline.");
+    return;
+  }
+  if (!joined.ok) {
+    showEntry(raceErrorText(joined));
+    return;
+  }
+
+  // ----------------------------
+  // In a room
+  // ----------------------------
+  entryEl.classList.add("hidden");
+  roomEl.classList.remove("hidden");
+
+  const api = `/api/races/${encodeURIComponent(joined.data.code)}`;
+  const playersEl = document.getElementById("players");
+  const countdownEl = document.getElementById("countdown");
+  const timerEl = document.getElementById("timer");
+  const startBtn = document.getElementById("startBtn");
+  const leaveBtn = document.getElementById("leaveBtn");
+  const undoBtn = document.getElementById("undoBtn");
+  const resetBtn = document.getElementById("resetBtn");
+  const retryFinishBtn = document.getElementById("retryFinishBtn");
+  const boardEl = document.getElementById("board");
+  const pathEl = document.getElementById("path");
+
+  let room = null;
+  let clockOffset = 0;     // server clock minus ours, so the countdown ends at the same moment for everyone
+  let game = null;
+  let view = null;
+  let myTimeMs = null;     // set once the server has accepted our finish
+  let submitting = false;
+  let tickRaf = null;
+
+  function serverNow() {
+    return Date.now() + clockOffset;
+  }
+
+  function canMove() {
+    return game && room.state === "racing" && myTimeMs == null && !submitting;
+  }
+
+  function tick() {
+    const now = serverNow();
+    if (room.state === "countdown") {
+      const left = Math.ceil((room.startsAt - now) / 1000);
+      countdownEl.textContent = left > 0 ? String(left) : "Go!";
+    }
+    if (room.state === "racing" && myTimeMs == null) {
+      timerEl.textContent = fmtMs(Math.max(0, now - room.startsAt));
+    }
+    tickRaf = requestAnimationFrame(tick);
+  }
+
+  // Finished first (by place), then whoever has covered the most cells
+  function renderPlayers() {
+    const players = room.players.slice().sort((a, b) =>
+      (a.place || Infinity) - (b.place || Infinity) || b.cells - a.cells);
+    playersEl.innerHTML = "";
+    for (const p of players) {
+      const li = document.createElement("li");
+      li.className = "race-player";
+      li.dataset.username = p.username;
+      if (p.username === me) li.classList.add("me");
+      if (p.place) li.classList.add("done");
+
+      const name = document.createElement("span");
+      name.className = "race-name";
+      name.textContent = p.username + (p.username === room.host ? " (host)" : "");
+
+      const bar = document.createElement("span");
+      bar.className = "race-bar";
+      const fill = document.createElement("span");
+      fill.className = "race-fill";
+      fill.style.width = `${(100 * p.cells) / room.cells}%`;
+      bar.appendChild(fill);
+
+      const status = document.createElement("span");
+      status.className = "race-status";
+      status.textContent = p.place
+        ? `${ordinal(p.place)} · ${fmtMs(p.timeMs)}`
+        : p.left ? "left" : !p.connected ? "offline" : `${p.cells}/${room.cells}`;
+
+      li.append(name, bar, status);
+      playersEl.appendChild(li);
+    }
+  }
+
+  function updateProgress(username, cells) {
+    const player = room && room.players.find(p => p.username === username);
+    if (!player) return;
+    player.cells = cells;
+    renderPlayers();
+  }
+
+  function setupBoard() {
+    game = ZipEngine.createGame(room.puzzle.grid, room.puzzle.walls);
+    view = ZipBoard.createBoardView(boardEl, pathEl, room.puzzle.grid, room.puzzle.walls);
+    view.build();
+    view.draw(game.path);
+    undoBtn.disabled = false;
+    resetBtn.disabled = false;
+  }
+
+  function lockBoard() {
+    if (game) game.locked = true;
+    boardEl.style.pointerEvents = "none";
+    undoBtn.disabled = true;
+    resetBtn.disabled = true;
+    retryFinishBtn.classList.add("hidden");
+  }
+
+  function unlockBoard() {
+    if (game) game.locked = false;
+    boardEl.style.pointerEvents = "";
+    undoBtn.disabled = false;
+    resetBtn.disabled = false;
+  }
+
+  function render(state) {
+    const wasState = room && room.state;
+    room = state;
+    clockOffset = state.serverNow - Date.now();
+
+    const p = state.puzzle;
+    const label = `Race ${state.code}`;
+    document.title = label;
+    document.getElementById("raceTitle").textContent = label;
+    // The puzzle number is only sent once the race is on
+    document.getElementById("raceSubtitle").textContent = p.id != null ? `Zip #${p.id} (${p.n}×${p.m})` : `${p.n}×${p.m} board`;
+
+    renderPlayers();
+
+    const isHost = state.host === me;
+    startBtn.classList.toggle("hidden", !(isHost && state.state === "lobby"));
+    leaveBtn.classList.remove("hidden");
+
+    countdownEl.classList.toggle("waiting", state.state === "lobby");
+    if (state.state === "lobby") {
+      countdownEl.textContent = "Waiting for the start";
+      setMsg(isHost
+        ? `Share the room code ${state.code} (or this page's link), then start when everyone's in.`
+        : `Waiting for ${state.host} to start the race…`);
+    } else if (state.state === "countdown") {
+      setMsg("Get ready…");
+    } else if (state.state === "racing") {
+      if (!game) setupBoard();
+      if (wasState !== "racing") {
+        countdownEl.textContent = "Go!";
+        setTimeout(() => countdownEl.classList.add("hidden"), 600);
+        if (myTimeMs == null) setMsg("");
+      }
+      // Rejoined mid-race after finishing (e.g. a reload)
+      const mine = state.players.find(pl => pl.username === me);
+      if (mine && mine.timeMs != null && myTimeMs == null) {
+        myTimeMs = mine.timeMs;
+        timerEl.textContent = fmtMs(myTimeMs);
+        lockBoard();
+      }
+    } else if (state.state === "finished") {
+      if (!game && p.grid) setupBoard();
+      countdownEl.classList.add("hidden");
+      lockBoard();
+      const winner = state.players.find(pl => pl.place === 1);
+      setMsg(winner ? `Race over — ${winner.username === me ? "you win" : `${winner.username} wins`}!` : "Race over.", true);
+      const mine = state.players.find(pl => pl.username === me);
+      timerEl.textContent = mine && mine.timeMs != null ? fmtMs(mine.timeMs) : "—";
+    }
+  }
+
+  // ----------------------------
+  // Live updates
+  // ----------------------------
+  render(joined.data);
+  tick();
+
+  const events = new EventSource(`${api}/events`);
+  events.addEventListener("state", (e) => render(JSON.parse(e.data)));
+  events.addEventListener("progress", (e) => {
+    const { username, cells } = JSON.parse(e.data);
+    updateProgress(username, cells);
+  });
+  events.addEventListener("error", () => {
+    // EventSource reconnects by itself; it only gives up once the room is gone
+    if (events.readyState === EventSource.CLOSED) {
+      cancelAnimationFrame(tickRaf);
+      lockBoard();
+      setMsg("This room has closed.", false);
+    } else {
+      setMsg("Connection lost — reconnecting…", false);
+    }
+  });
+
+  startBtn.addEventListener("click", async () => {
+    startBtn.disabled = true;
+    try {
+      const res = await postRace(`${api}/start`);
+      if (!res.ok) setMsg(raceErrorText(res), false);
+    } catch (err) {
+      setMsg("You're offline.", false);
+    }
+    startBtn.disabled = false;
+  });
+
+  leaveBtn.addEventListener("click", async () => {
+    events.close();
+    await postRace(`${api}/leave`).catch(() => {});
+    window.location.href = "/race";
+  });
+
+  // ----------------------------
+  // Playing
+  // ----------------------------
+  // Covered cells go out at most this often (the others' progress bars don't need every move)
+  const PROGRESS_EVERY_MS = 250;
+  let progressTimer = null;
+
+  function queueProgress() {
+    if (progressTimer) return;
+    progressTimer = setTimeout(() => {
+      progressTimer = null;
+      if (canMove()) postRace(`${api}/progress`, { cells: game.path.length }).catch(() => {});
+    }, PROGRESS_EVERY_MS);
+  }
+
+  // The board only stays locked once the server has taken the finish. If the request failed on
+  // the way (offline, server trouble) the same path can be sent again with retryFinishBtn.
+  async function finish() {
+    submitting = true;
+    lockBoard();
+    setMsg("Solved! Checking…");
+    let retryable = false;
+    try {
+      const res = await postRace(`${api}/finish`, { path: game.path.map(p => [p.r, p.c]) });
+      if (res.ok) {
+        myTimeMs = res.data.timeMs;
+        timerEl.textContent = fmtMs(myTimeMs);
+        setMsg(`You finished ${ordinal(res.data.place)} — ${fmtMs(myTimeMs)}`, true);
+        return;
+      }
+      setMsg(raceErrorText(res), false);
+      retryable = res.status >= 500 || res.status === 408 || res.status === 429;
+    } catch (err) {
+      setMsg("You're offline — your finish didn't reach the server.", false);
+      retryable = true;
+    } finally {
+      submitting = false;
+    }
+
+    // The room may have moved on meanwhile (the race ended, or our finish got through after all)
+    if (room.state !== "racing" || myTimeMs != null) return;
+    unlockBoard();
+    retryFinishBtn.classList.toggle("hidden", !retryable);
+  }
+
+  let isDragging = false;
+  let lastHoverKey = null; // prevents re-processing the same cell while dragging
+
+  function tryAddCell(rc, allowRewind = false) {
+    if (!canMove()) return;
+    const key = `${rc.r},${rc.c}`;
+    if (key === lastHoverKey) return;
+    lastHoverKey = key;
+
+    const result = game.tryAdd(rc, allowRewind);
+    if (!result.ok) {
+      if (result.reason === "start_on_one") setMsg("Start on 1.", false);
+      else if (result.reason === "last_too_early") setMsg(`You can only step on ${result.lastRequired} as the final move.`, false);
+      else if (result.reason === "wrong_number") setMsg(`Next number is ${result.needed}.`, false);
+      else if (result.reason === "wall") setMsg("There's a wall in the way.", false);
+      return;
+    }
+    setMsg("");
+    retryFinishBtn.classList.add("hidden");
+    view.draw(game.path);
+    queueProgress();
+
+    if (result.full) {
+      if (result.solved) finish();
+      else setMsg("Not solved yet.", false);
+    }
+  }
+
+  undoBtn.addEventListener("click", () => {
+    if (!canMove() || !game.undo()) return;
+    lastHoverKey = null;
+    retryFinishBtn.classList.add("hidden");
+    view.draw(game.path);
+    queueProgress();
+  });
+
+  resetBtn.addEventListener("click", () => {
+    if (!canMove()) return;
+    game.reset();
+    lastHoverKey = null;
+    retryFinishBtn.classList.add("hidden");
+    view.draw(game.path);
+    queueProgress();
+  });
+
+  retryFinishBtn.addEventListener("click", () => {
+    if (canMove()) finish();
+  });
+
+  boardEl.addEventListener("pointerdown", (e) => {
+    if (!view) return;
+    isDragging = true;
+    lastHoverKey = null;
+    boardEl.setPointerCapture?.(e.pointerId);
+    const rc = view.cellAtPoint(e.clientX, e.clientY);
+    if (rc) tryAddCell(rc, true); // a click on the path rewinds to that cell
+  });
+  window.addEventListener("pointermove", (e) => {
+    if (!isDragging || !view) return;
+    const rc = view.cellAtPoint(e.clientX, e.clientY);
+    if (rc) tryAddCell(rc, false);
+  });
+  const endDrag = () => {
+    isDragging = false;
+    lastHoverKey = null;
+  };
+  window.addEventListener("pointerup", endDrag);
+  window.addEventListener("pointercancel", endDrag);
+})();
@@ -0,0 +1,80 @@
+// rate-limit.js
+// Fixed-window counters for rate limiting and lockouts.
+//
+// The counters live in a store with a small async interface, so the in-process store below
+// can be swapped for a shared one (Redis, Mongo, ...) when running more than one server:
+//   incr(key, windowMs) -> { count, resetAt }   count hits in the current window
+//   get(key)            -> { count, resetAt } | null
+//   reset(key)
+
+// In-process store. Expired windows are swept once a minute.
+function createMemoryStore() {
+  const windows = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, w] of windows) {
+      if (w.resetAt <= now) windows.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  function live(key) {
+    const w = windows.get(key);
+    if (!w) return null;
+    if (w.resetAt <= Date.now()) {
+      windows.delete(key);
+      return null;
+    }
+    return w;
+  }
+
+  return {
+    async incr(key, windowMs) {
+      let w = live(key);
+      if (!w) {
+        w = { count: 0, resetAt: Date.now() + windowMs };
+        windows.set(key, w);
+      }
+      w.count += 1;
+      return { count: w.count, resetAt: w.resetAt };
+    },
+
+    async get(key) {
+      const w = live(key);
+      return w ? { count: w.count, resetAt: w.resetAt } : null;
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    },
+  };
+}
+
+// At most `max` hits per `windowMs` for each key
+function createRateLimiter({ store, prefix, windowMs, max }) {
+  const k = (key) => `${prefix}:${key}`;
+  const verdict = (w) => ({
+    allowed: !w || w.count <= max,
+    retryAfterMs: w ? Math.max(0, w.resetAt - Date.now()) : 0,
+  });
+
+  return {
+    // Count a hit; allowed is false once the key is over the limit
+    async hit(key) {
+      return verdict(await store.incr(k(key), windowMs));
+    },
+
+    // Look without counting; blocked once the key has used up the limit
+    async check(key) {
+      const w = await store.get(k(key));
+      return { blocked: !!w && w.count >= max, retryAfterMs: w ? Math.max(0, w.resetAt - Date.now()) : 0 };
+    },
+
+    async reset(key) {
+      await store.reset(k(key));
+    },
+  };
+}
+
+module.exports = { createMemoryStore, createRateLimiter };
@@ -0,0 +1,142 @@
+// rating.js
+// Elo-style skill rating for players, so rankings don't just reward solving small grids.
+//
+// Each player's first solve of a puzzle is a "match" against that puzzle:
+// - the puzzle's expected time is the median of the other solvers' first-solve times on it,
+//   so grid size and difficulty are already priced in
+// - the solve scores S = 1 / (1 + (time / expected)^2): 0.5 at the expected time,
+//   0.8 at half of it, 0.2 at double
+// - the rating moves by K * (S - E), where E is the score an average (1500) player is expected to
+//   beat, and K shrinks as the player builds up rated solves
+//
+// Repeat solves don't count (you already know the path), neither do solves with hints or a
+// reveal, and nothing moves until someone else has solved the puzzle too.
+
+const Progress = require('./models/Progress');
+const Attempt = require('./models/Attempt');
+const User = require('./models/User');
+
+const RATING_START = 1500;
+const RATING_SCALE = 400;
+const K_NEW = 48;          // first RATED_SETTLE solves
+const K_SETTLED = 24;
+const RATED_SETTLE = 10;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// How well a time did against the puzzle's expected time, in 0..1
+function solveScore(timeMs, expectedMs) {
+  return 1 / (1 + Math.pow(Math.max(1, timeMs) / expectedMs, 2));
+}
+
+// Score a player of this rating is expected to get against an average solver
+function expectedScore(rating) {
+  return 1 / (1 + Math.pow(10, (RATING_START - rating) / RATING_SCALE));
+}
+
+function updatedRating(rating, ratedSolves, timeMs, expectedMs) {
+  const k = ratedSolves < RATED_SETTLE ? K_NEW : K_SETTLED;
+  return rating + k * (solveScore(timeMs, expectedMs) - expectedScore(rating));
+}
+
+// Median first-solve time on a puzzle, leaving out one player (null if nobody else solved it).
+// `before` limits it to solves up to that moment (used when replaying history).
+async function expectedTimeFor(puzzleId, excludeUsername, before = null) {
+  const query = { puzzleId, username: { $ne: excludeUsername } };
+  if (before) {
+    // Rows from before attempts were kept have no firstSolvedAt; their createdAt is the first solve
+    query.$or = [{ firstSolvedAt: { $lt: before } }, { firstSolvedAt: null, createdAt: { $lt: before } }];
+  }
+  const docs = await Progress.find(query).select('timeMs firstTimeMs');
+  return median(docs.map(d => (d.firstTimeMs != null ? d.firstTimeMs : d.timeMs)));
+}
+
+// The one rule for which solves move a rating, used live (server.js) and by the rebuild below:
+// the player's first solve of the puzzle (solveCount counts solves so far, this one included),
+// made without hints or a reveal
+function isRatedSolve(attempt, solveCount) {
+  return !attempt.revealed && !attempt.hintsUsed && solveCount === 1;
+}
+
+// Apply one first solve to a user document (not saved). Returns true if the rating moved.
+async function rateSolve(user, puzzleId, timeMs) {
+  const expectedMs = await expectedTimeFor(puzzleId, user.username);
+  if (!expectedMs) return false;
+  user.rating = updatedRating(user.rating, user.ratedSolves, timeMs, expectedMs);
+  user.ratedSolves += 1;
+  return true;
+}
+
+// Rebuild every rating from scratch by replaying solves in the order they happened,
+// with the same isRatedSolve() rule as live play
+async function recomputeAllRatings() {
+  const users = new Map();
+  for (const u of await User.find()) {
+    u.rating = RATING_START;
+    u.ratedSolves = 0;
+    users.set(u.username, u);
+  }
+
+  const attempts = await Attempt.find({ revealed: { $ne: true } }).sort({ finishedAt: 1 });
+  const attemptCounts = new Map(); // "username|puzzleId" -> solves on record
+  for (const a of attempts) {
+    const key = `${a.username}|${a.puzzleId}`;
+    attemptCounts.set(key, (attemptCounts.get(key) || 0) + 1);
+  }
+
+  // Solves per user and puzzle so far; revealed attempts aren't solves
+  const solveCounts = new Map();
+  const rated = [];
+
+  // Progress rows from before attempts were kept count one more solve than there are attempts:
+  // that first solve has no attempt behind it. It also predates hints and reveals, so it is clean.
+  for (const p of await Progress.find()) {
+    const key = `${p.username}|${p.puzzleId}`;
+    if ((p.solveCount || 1) <= (attemptCounts.get(key) || 0)) continue;
+    solveCounts.set(key, 1);
+    rated.push({
+      username: p.username,
+      puzzleId: p.puzzleId,
+      timeMs: p.firstTimeMs != null ? p.firstTimeMs : p.timeMs,
+      at: p.firstSolvedAt || p.createdAt
+    });
+  }
+
+  for (const a of attempts) {
+    const key = `${a.username}|${a.puzzleId}`;
+    const solveCount = (solveCounts.get(key) || 0) + 1;
+    solveCounts.set(key, solveCount);
+    if (isRatedSolve(a, solveCount)) {
+      rated.push({ username: a.username, puzzleId: a.puzzleId, timeMs: a.durationMs, at: a.finishedAt });
+    }
+  }
+  rated.sort((a, b) => a.at - b.at);
+
+  for (const solve of rated) {
+    const user = users.get(solve.username);
+    if (!user) continue;
+    const expectedMs = await expectedTimeFor(solve.puzzleId, solve.username, solve.at);
+    if (!expectedMs) continue;
+    user.rating = updatedRating(user.rating, user.ratedSolves, solve.timeMs, expectedMs);
+    user.ratedSolves += 1;
+  }
+
+  for (const u of users.values()) await u.save();
+  return users.size;
+}
+
+module.exports = {
+  RATING_START,
+  solveScore,
+  expectedScore,
+  updatedRating,
+  expectedTimeFor,
+  isRatedSolve,
+  rateSolve,
+  recomputeAllRatings
+};
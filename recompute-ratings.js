@@ -0,0 +1,27 @@
+// recompute-ratings.js
+// Rebuilds every player's skill rating from their first solves without hints or a reveal (see rating.js).
+//
+//   node recompute-ratings.js
+//
+// Safe to re-run: ratings are reset to the starting value and replayed in solve order.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const { recomputeAllRatings } = require('./rating');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/zipdb';
+
+async function main() {
+  await mongoose.connect(MONGODB_URI);
+  console.log(`Recomputing ratings in ${MONGODB_URI}`);
+  const count = await recomputeAllRatings();
+  console.log(`Done. Rated ${count} players.`);
+}
+
+main()
+  .catch(err => {
+    console.error('Recompute failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
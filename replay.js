@@ -0,0 +1,126 @@
+// replay.js
+// Plays back a recorded solve (/replay?id=&user= or /replay?date=&user=) on the game's board renderer.
+
+function getReplayQuery() {
+  const params = new URLSearchParams(window.location.search);
+  return { id: params.get("id"), date: params.get("date"), user: params.get("user") };
+}
+
+async function loadReplayOrThrow(q) {
+  const qs = new URLSearchParams({ user: q.user || "" });
+  if (q.date) qs.set("date", q.date);
+  else qs.set("id", q.id || "");
+  const res = await fetch(`/api/replay?${qs}`, { cache: "no-store" });
+  if (res.status === 404) throw new Error("No recorded solve to replay.");
+  if (!res.ok) throw new Error(`Failed to load replay (${res.status})`);
+  return res.json();
+}
+
+(async function main() {
+  if (window.zipSessionReady && !(await window.zipSessionReady)) return;
+
+  const msgEl = document.getElementById("msg");
+  const titleEl = document.getElementById("replayTitle");
+  const timerEl = document.getElementById("timer");
+  const playBtn = document.getElementById("playBtn");
+  const speedSelect = document.getElementById("speedSelect");
+  const scrubber = document.getElementById("scrubber");
+
+  function setMsg(text, ok = null) {
+    msgEl.textContent = text;
+    msgEl.classList.toggle("ok", ok === true);
+    msgEl.classList.toggle("bad", ok === false);
+  }
+
+  function fmtMs(ms) {
+    return `${(ms / 1000).toFixed(3)}s`;
+  }
+
+  const q = getReplayQuery();
+  let replay;
+  try {
+    replay = await loadReplayOrThrow(q);
+  } catch (err) {
+    console.error(err);
+    setMsg(String(err.message || err), false);
+    playBtn.disabled = true;
+    speedSelect.disabled = true;
+    scrubber.disabled = true;
+    return;
+  }
+
+  const puzzle = replay.puzzle;
+  const moves = replay.moves;
+  const label = replay.date ? `Daily Zip · ${replay.date}` : `Zip #${puzzle.id}`;
+  titleEl.textContent = `Replay · ${label}`;
+  document.title = `Replay · ${label}`;
+  document.getElementById("replaySubtitle").textContent = `${replay.username} — ${fmtMs(replay.timeMs)}`;
+  document.getElementById("playLink").href = replay.date ? "/zip?daily=1" : `/zip?id=${puzzle.id}`;
+
+  const view = ZipBoard.createBoardView(
+    document.getElementById("board"),
+    document.getElementById("path"),
+    puzzle.grid,
+    puzzle.walls
+  );
+  view.build();
+
+  // The clock runs to the final time; moves sit on it at their recorded timestamps
+  const endMs = Math.max(replay.timeMs || 0, moves.length ? moves[moves.length - 1].t : 0);
+  scrubber.max = String(endMs);
+
+  let game = ZipEngine.createGame(puzzle.grid, puzzle.walls);
+  let applied = 0;     // number of moves applied to `game`
+  let positionMs = 0;
+  let playing = false;
+  let lastFrame = null;
+
+  function seek(ms) {
+    positionMs = Math.max(0, Math.min(endMs, ms));
+
+    let target = 0;
+    while (target < moves.length && moves[target].t <= positionMs) target++;
+
+    // Forward: apply the new moves; backward: replay from the start
+    if (target < applied) {
+      game = ZipEngine.createGame(puzzle.grid, puzzle.walls);
+      applied = 0;
+    }
+    while (applied < target) ZipEngine.applyMove(game, moves[applied++]);
+
+    view.draw(game.path);
+    scrubber.value = String(Math.round(positionMs));
+    timerEl.textContent = fmtMs(positionMs);
+    if (positionMs >= endMs) setMsg("Solved.", true);
+    else setMsg("");
+  }
+
+  function frame(now) {
+    if (!playing) return;
+    if (lastFrame != null) seek(positionMs + (now - lastFrame) * Number(speedSelect.value));
+    lastFrame = now;
+    if (positionMs >= endMs) {
+      pause();
+      return;
+    }
+    requestAnimationFrame(frame);
+  }
+
+  function play() {
+    if (positionMs >= endMs) seek(0);
+    playing = true;
+    lastFrame = null;
+    playBtn.textContent = "Pause";
+    requestAnimationFrame(frame);
+  }
+
+  function pause() {
+    playing = false;
+    playBtn.textContent = "Play";
+  }
+
+  playBtn.addEventListener("click", () => (playing ? pause() : play()));
+  scrubber.addEventListener("input", () => seek(Number(scrubber.value)));
+
+  seek(0);
+})();
@@ -2,15 +2,39 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
+const bcrypt = require('bcryptjs');
+
+// Shared Zip rules (same module the browser and generate.js use)
+const {
+  checkSolutionPath, checkpointCount, solveZipDFS, solutionPathToString, stringToSolutionPath,
+  normalizeWalls, analyzePuzzle, cleanMoveLog, replayMoveLog
+} = require('./zip-engine');
 
 // Import models
 const User = require('./models/User');
 const Progress = require('./models/Progress');
+const Attempt = require('./models/Attempt');
+const Session = require('./models/Session');
+const ResetCode = require('./models/ResetCode');
+const InProgress = require('./models/InProgress');
+const Puzzle = require('./models/Puzzle');
+const PendingPuzzle = require('./models/PendingPuzzle');
+const DailyPuzzle = require('./models/DailyPuzzle');
+const DailyResult = require('./models/DailyResult');
+const RaceResult = require('./models/RaceResult');
+const { isRatedSolve, rateSolve } = require('./rating');
+const { createMemoryStore, createRateLimiter } = require('./rate-limit');
+const { createRaceRooms } = require('./race-rooms');
 
-const ADMIN_TOKEN = process.env.ADMIN_TOKEN || 'admin-token';
 const PORT = process.env.PORT || 3000;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/zipdb';
+const SESSION_COOKIE = 'zip_session';
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_HOURS || 24 * 7) * 60 * 60 * 1000;
+const RESET_CODE_TTL_MS = Number(process.env.RESET_CODE_TTL_HOURS || 24) * 60 * 60 * 1000;
+// The daily puzzle flips at midnight in this timezone (one shared day for the whole team)
+const DAILY_TIMEZONE = process.env.DAILY_TIMEZONE || 'UTC';
 
 const app = express();
 app.use(cors());
@@ -21,14 +45,781 @@ mongoose.connect(MONGODB_URI)
   .then(() => console.log(' Connected to MongoDB'))
   .catch(err => console.error('MongoDB connection error:', err));
 
+// =====================
+// Sessions
+// =====================
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(req) {
+  const out = {};
+  const header = req.headers.cookie;
+  if (!header) return out;
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    const key = part.slice(0, idx).trim();
+    const value = part.slice(idx + 1).trim();
+    try { out[key] = decodeURIComponent(value); } catch { out[key] = value; }
+  }
+  return out;
+}
+
+// Session token comes from the HttpOnly cookie, or a Bearer header for non-browser clients
+function getSessionToken(req) {
+  const auth = req.header('authorization');
+  if (auth && auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return parseCookies(req)[SESSION_COOKIE] || null;
+}
+
+function setSessionCookie(req, res, token, expiresAt) {
+  const parts = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Expires=${expiresAt.toUTCString()}`
+  ];
+  if (req.secure) parts.push('Secure');
+  res.setHeader('Set-Cookie', parts.join('; '));
+}
+
+function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Expires=Thu, 01 Jan 1970 00:00:00 GMT`);
+}
+
+async function createSession(username) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  await Session.create({ tokenHash: hashToken(token), username, expiresAt });
+  return { token, expiresAt };
+}
+
+// Reset codes are short enough to read out ("K7QM-2XPA-9D"); no 0/O or 1/I
+const RESET_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function newResetCode() {
+  const bytes = crypto.randomBytes(10);
+  const chars = Array.from(bytes, b => RESET_CODE_ALPHABET[b % RESET_CODE_ALPHABET.length]).join('');
+  return `${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8)}`;
+}
+
+function normalizeResetCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// =====================
+// Brute-force protection
+// =====================
+// In-process counters; swap the store (see rate-limit.js) when running several instances
+const rateLimitStore = createMemoryStore();
+const loginIpLimiter = createRateLimiter({ store: rateLimitStore, prefix: 'login-ip', windowMs: 15 * 60 * 1000, max: 30 });
+const registerIpLimiter = createRateLimiter({ store: rateLimitStore, prefix: 'register-ip', windowMs: 60 * 60 * 1000, max: 10 });
+// Failed logins per account name (existing or not, so lockouts don't reveal which names exist)
+const loginFailures = createRateLimiter({ store: rateLimitStore, prefix: 'login-fail', windowMs: 15 * 60 * 1000, max: 5 });
+
+// Compared against when the username doesn't exist, so both cases take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+const COMMON_PASSWORDS = new Set([
+  'password', 'password1', '12345678', '123456789', '1234567890', 'qwerty123', 'iloveyou', 'letmein1', 'abc12345', 'passw0rd'
+]);
+
+// Registration password rules. Returns a reason code, or null if the password is fine.
+function passwordProblem(password, username) {
+  if (typeof password !== 'string' || password.length < 8) return 'too_short';
+  if (password.length > 200) return 'too_long';
+  if (!/[a-z]/i.test(password)) return 'no_letter';
+  if (!/[0-9]/.test(password)) return 'no_digit';
+  if (username && password.toLowerCase().includes(String(username).toLowerCase())) return 'contains_username';
+  if (COMMON_PASSWORDS.has(password.toLowerCase())) return 'too_common';
+  return null;
+}
+
+function tooManyRequests(res, error, retryAfterMs) {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+}
+
+// Middleware: resolve the session token to req.user, or reject with 401
+async function requireAuth(req, res, next) {
+  try {
+    const token = getSessionToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'unauthenticated' });
+    }
+
+    // The TTL monitor only runs once a minute, so check expiry here too
+    const session = await Session.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } });
+    if (!session) {
+      clearSessionCookie(res);
+      return res.status(401).json({ error: 'session_expired' });
+    }
+
+    req.user = { username: session.username };
+    req.sessionTokenHash = session.tokenHash;
+    req.sessionExpiresAt = session.expiresAt;
+    return next();
+  } catch (err) {
+    console.error('Session lookup error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+}
+
+// Middleware (after requireAuth): the logged-in user must be an admin
+async function requireAdmin(req, res, next) {
+  try {
+    const user = await User.findOne({ username: req.user.username }).select('isAdmin');
+    if (!user || !user.isAdmin) {
+      return res.status(403).json({ error: 'forbidden' });
+    }
+    return next();
+  } catch (err) {
+    console.error('Admin check error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+}
+
+// =====================
+// Puzzles
+// =====================
+// Column count of a puzzle, progress row or attempt. Rows from before boards could be
+// rectangular have no gridCols and are square.
+function boardCols(doc) {
+  return doc.gridCols != null ? doc.gridCols : doc.gridSize;
+}
+
+// Public shape of a puzzle: metadata always, the grid (and walls) only when asked, the solution never.
+// n is the row count and m the column count.
+function puzzleToJson(doc, withGrid = false) {
+  const out = {
+    id: doc.puzzleId,
+    n: doc.gridSize,
+    m: boardCols(doc),
+    numbersCount: doc.numbersCount,
+    difficulty: doc.difficulty ? { score: doc.difficulty.score, tier: doc.difficulty.tier } : null
+  };
+  if (withGrid) {
+    out.grid = doc.grid;
+    out.walls = doc.walls || [];
+  }
+  return out;
+}
+
+async function getPuzzleById(id) {
+  const puzzleId = Number(id);
+  if (!Number.isFinite(puzzleId)) return null;
+  return Puzzle.findOne({ puzzleId });
+}
+
+// A submitted move log is kept only if it replays to exactly the submitted solve
+function verifiedMoveLog(puzzle, moves, movePath) {
+  const log = cleanMoveLog(moves);
+  if (!log) return null;
+  const game = replayMoveLog(puzzle.grid, log, log.length, puzzle.walls);
+  if (!game || !game.isSolved()) return null;
+  const cells = game.path.map(p => [p.r, p.c]);
+  const submitted = movePath.map(p => (Array.isArray(p) ? p : [p.r, p.c]));
+  return solutionPathToString(cells) === solutionPathToString(submitted) ? log : null;
+}
+
+// The grid must be a rows × cols 2D array of integers numbered 1..K. Returns an error code or null.
+function gridProblem(grid) {
+  const rows = Array.isArray(grid) ? grid.length : 0;
+  const cols = rows && Array.isArray(grid[0]) ? grid[0].length : 0;
+  if (rows < 2 || cols < 2 || !grid.every(row => Array.isArray(row) && row.length === cols && row.every(Number.isInteger))) {
+    return 'invalid_grid';
+  }
+  if (checkpointCount(grid) === null) return 'invalid_numbers';
+  return null;
+}
+
+// Admin create/update: a well-formed grid (see gridProblem) and optional walls that actually solve.
+// Returns { grid, walls, solutionPath } or { error } for a 400 response.
+function validatePuzzleInput(body) {
+  const { grid, solutionPath } = body || {};
+  const problem = gridProblem(grid);
+  if (problem) return { error: problem };
+  const walls = normalizeWalls(body.walls, grid.length, grid[0].length);
+  if (!walls) return { error: 'invalid_walls' };
+
+  let sol = typeof solutionPath === 'string' ? stringToSolutionPath(solutionPath) : solutionPath;
+  if (sol && checkSolutionPath(grid, sol, walls)) return { error: 'invalid_solution' };
+  if (!sol) sol = solveZipDFS(grid, null, walls);
+  if (!sol) return { error: 'unsolvable' };
+
+  return { grid, walls, solutionPath: solutionPathToString(sol) };
+}
+
+// API: Paged puzzle list (metadata only)
+app.get('/api/puzzles', async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+
+    const [docs, total] = await Promise.all([
+      Puzzle.find().sort({ puzzleId: 1 }).skip((page - 1) * limit).limit(limit),
+      Puzzle.countDocuments()
+    ]);
+
+    return res.json({ puzzles: docs.map(doc => puzzleToJson(doc)), page, limit, total });
+  } catch (err) {
+    console.error('Puzzle list error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// API: One puzzle's grid (plus neighbouring ids for prev/next navigation)
+app.get('/api/puzzles/:id', async (req, res) => {
+  try {
+    const doc = await getPuzzleById(req.params.id);
+    if (!doc) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    const [prev, next] = await Promise.all([
+      Puzzle.findOne({ puzzleId: { $lt: doc.puzzleId } }).sort({ puzzleId: -1 }).select('puzzleId'),
+      Puzzle.findOne({ puzzleId: { $gt: doc.puzzleId } }).sort({ puzzleId: 1 }).select('puzzleId')
+    ]);
+
+    return res.json({
+      ...puzzleToJson(doc, true),
+      prevId: prev ? prev.puzzleId : null,
+      nextId: next ? next.puzzleId : null
+    });
+  } catch (err) {
+    console.error('Puzzle fetch error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// API: Best times for one puzzle (?user=<name> also returns that player's rank, even outside the top)
+app.get('/api/puzzles/:id/leaderboard', async (req, res) => {
+  try {
+    const puzzle = await getPuzzleById(req.params.id);
+    if (!puzzle) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const docs = await Progress.find({ puzzleId: puzzle.puzzleId }).sort({ timeMs: 1, bestSolvedAt: 1 }).limit(limit);
+
+    let me = null;
+    const username = String(req.query.user || '').toLowerCase();
+    if (username) {
+      const mine = await Progress.findOne({ puzzleId: puzzle.puzzleId, username });
+      if (mine) {
+        const ahead = await Progress.countDocuments({ puzzleId: puzzle.puzzleId, timeMs: { $lt: mine.timeMs } });
+        me = { rank: ahead + 1, username, timeMs: mine.timeMs, hinted: mine.hintsUsed > 0 };
+      }
+    }
+
+    return res.json({
+      id: puzzle.puzzleId,
+      results: docs.map((d, i) => ({ rank: i + 1, username: d.username, timeMs: d.timeMs, hinted: d.hintsUsed > 0 })),
+      me
+    });
+  } catch (err) {
+    console.error('Puzzle leaderboard error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Create a puzzle under the next free id (highest + 1). Two admins saving at once can pick the
+// same id; the unique index turns the second one away, and it retries with the id after.
+async function createPuzzleWithNextId(fields) {
+  for (let tries = 1; ; tries++) {
+    const last = await Puzzle.findOne().sort({ puzzleId: -1 }).select('puzzleId');
+    try {
+      return await Puzzle.create({ ...fields, puzzleId: last ? last.puzzleId + 1 : 1 });
+    } catch (err) {
+      if (err.code !== 11000 || tries >= 5) throw err;
+    }
+  }
+}
+
+// Admin: Create puzzle (id defaults to the next free one)
+app.post('/api/puzzles', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const input = validatePuzzleInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const fields = {
+      grid: input.grid,
+      walls: input.walls,
+      solutionPath: input.solutionPath,
+      difficulty: req.body.difficulty || null
+    };
+
+    const puzzleId = Number(req.body.id);
+    let doc;
+    if (!Number.isFinite(puzzleId)) {
+      doc = await createPuzzleWithNextId(fields);
+    } else {
+      try {
+        doc = await Puzzle.create({ ...fields, puzzleId });
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        return res.status(409).json({ error: 'exists' });
+      }
+    }
+    return res.status(201).json(puzzleToJson(doc, true));
+  } catch (err) {
+    console.error('Puzzle create error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Admin: Update puzzle
+app.put('/api/puzzles/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const doc = await getPuzzleById(req.params.id);
+    if (!doc) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    const input = validatePuzzleInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    doc.grid = input.grid;
+    doc.walls = input.walls;
+    doc.solutionPath = input.solutionPath;
+    if (typeof req.body.difficulty !== 'undefined') doc.difficulty = req.body.difficulty;
+    await doc.save();
+    return res.json(puzzleToJson(doc, true));
+  } catch (err) {
+    console.error('Puzzle update error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Admin: Delete puzzle (players' progress on it is kept)
+app.delete('/api/puzzles/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const doc = await getPuzzleById(req.params.id);
+    if (!doc) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    await doc.deleteOne();
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('Puzzle delete error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// =====================
+// Puzzle editor: player-designed puzzles wait in a queue until an admin approves them
+// =====================
+// The server solves every submission, so sizes and solver effort are capped
+// (editor.js checks with the same node budget)
+const EDITOR_MIN_SIZE = 3;
+const EDITOR_MAX_SIZE = 10;
+const EDITOR_MAX_CELLS = 64;
+const EDITOR_SOLVE_NODES = 200000;
+const MAX_PENDING_PER_USER = 20;
+
+function submissionToJson(doc) {
+  return {
+    id: doc._id,
+    submittedBy: doc.submittedBy,
+    n: doc.gridSize,
+    m: boardCols(doc),
+    numbersCount: doc.numbersCount,
+    grid: doc.grid,
+    unique: doc.unique,
+    difficulty: doc.difficulty ? { score: doc.difficulty.score, tier: doc.difficulty.tier } : null,
+    status: doc.status,
+    note: doc.note,
+    puzzleId: doc.puzzleId,
+    createdAt: doc.createdAt,
+    reviewedAt: doc.reviewedAt
+  };
+}
+
+// API: Submit a puzzle from the editor. It is solved here (not trusted from the page) and queued.
+app.post('/api/editor/submissions', requireAuth, async (req, res) => {
+  try {
+    const grid = req.body && req.body.grid;
+    const problem = gridProblem(grid);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    const rows = grid.length;
+    const cols = grid[0].length;
+    if (Math.min(rows, cols) < EDITOR_MIN_SIZE || Math.max(rows, cols) > EDITOR_MAX_SIZE || rows * cols > EDITOR_MAX_CELLS) {
+      return res.status(400).json({ error: 'invalid_size' });
+    }
+
+    if (await PendingPuzzle.countDocuments({ submittedBy: req.user.username, status: 'pending' }) >= MAX_PENDING_PER_USER) {
+      return res.status(429).json({ error: 'too_many_pending' });
+    }
+    if (await Puzzle.exists({ grid }) || await PendingPuzzle.exists({ grid, status: 'pending' })) {
+      return res.status(409).json({ error: 'duplicate' });
+    }
+
+    const analysis = analyzePuzzle(grid, EDITOR_SOLVE_NODES);
+    if (analysis.aborted) {
+      return res.status(400).json({ error: 'too_hard_to_check' });
+    }
+    if (!analysis.solvable) {
+      return res.status(400).json({ error: 'unsolvable' });
+    }
+
+    const doc = await PendingPuzzle.create({
+      submittedBy: req.user.username,
+      grid,
+      solutionPath: solutionPathToString(analysis.solutionPath),
+      unique: analysis.unique,
+      difficulty: analysis.difficulty
+    });
+    return res.status(201).json(submissionToJson(doc));
+  } catch (err) {
+    console.error('Editor submit error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// API: Your own submissions and what happened to them (newest first)
+app.get('/api/editor/submissions', requireAuth, async (req, res) => {
+  try {
+    const docs = await PendingPuzzle.find({ submittedBy: req.user.username }).sort({ createdAt: -1 }).limit(100);
+    return res.json(docs.map(submissionToJson));
+  } catch (err) {
+    console.error('Editor submissions error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Admin: Submissions in the queue (?status=pending|approved|rejected, default pending)
+app.get('/api/pending-puzzles', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const status = ['pending', 'approved', 'rejected'].includes(req.query.status) ? req.query.status : 'pending';
+    const docs = await PendingPuzzle.find({ status }).sort({ createdAt: status === 'pending' ? 1 : -1 }).limit(200);
+    return res.json(docs.map(submissionToJson));
+  } catch (err) {
+    console.error('Pending puzzle list error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+async function getPendingPuzzle(id, withSolution = false) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const query = PendingPuzzle.findById(id);
+  return withSolution ? query.select('+solutionPath') : query;
+}
+
+// Admin: Approve a submission into the catalogue under the next free id
+app.post('/api/pending-puzzles/:id/approve', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const doc = await getPendingPuzzle(req.params.id, true);
+    if (!doc) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    if (doc.status !== 'pending') {
+      return res.status(409).json({ error: 'already_reviewed' });
+    }
+    if (await Puzzle.exists({ grid: doc.grid })) {
+      return res.status(409).json({ error: 'duplicate' });
+    }
+
+    const puzzle = await createPuzzleWithNextId({
+      grid: doc.grid,
+      solutionPath: doc.solutionPath,
+      difficulty: doc.difficulty
+    });
+
+    doc.status = 'approved';
+    doc.puzzleId = puzzle.puzzleId;
+    doc.reviewedBy = req.user.username;
+    doc.reviewedAt = new Date();
+    await doc.save();
+
+    return res.json({ ok: true, puzzle: puzzleToJson(puzzle) });
+  } catch (err) {
+    console.error('Approve puzzle error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Admin: Reject a submission (an optional note is shown to the designer)
+app.post('/api/pending-puzzles/:id/reject', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const doc = await getPendingPuzzle(req.params.id);
+    if (!doc) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    if (doc.status !== 'pending') {
+      return res.status(409).json({ error: 'already_reviewed' });
+    }
+
+    doc.status = 'rejected';
+    doc.note = String((req.body && req.body.note) || '').trim().slice(0, 500);
+    doc.reviewedBy = req.user.username;
+    doc.reviewedAt = new Date();
+    await doc.save();
+
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('Reject puzzle error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// =====================
+// Daily puzzle + streaks
+// =====================
+// YYYY-MM-DD for `date` as seen in DAILY_TIMEZONE
+function dailyDateKey(date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: DAILY_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+  const get = type => parts.find(p => p.type === type).value;
+  return `${get('year')}-${get('month')}-${get('day')}`;
+}
+
+function previousDateKey(dateKey) {
+  const d = new Date(`${dateKey}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+// A streak only counts as current if the last daily solve was today or yesterday
+function streakFor(user, todayKey) {
+  const alive = user.lastDailyDate === todayKey || user.lastDailyDate === previousDateKey(todayKey);
+  return { current: alive ? user.streakCurrent : 0, longest: user.streakLongest };
+}
+
+// Deterministic pick for a date: rotate through board shapes (6×6, 5×7, ...) day by day,
+// then pick a puzzle of that shape from a hash of the date. The first pick is stored, so it
+// doesn't change if puzzles are added or removed later that day.
+async function getDailyPuzzle(dateKey) {
+  let daily = await DailyPuzzle.findOne({ date: dateKey });
+
+  if (!daily) {
+    const shapes = (await Puzzle.aggregate([
+      { $group: { _id: { rows: '$gridSize', cols: { $ifNull: ['$gridCols', '$gridSize'] } }, ids: { $push: '$puzzleId' } } }
+    ])).sort((a, b) => a._id.rows - b._id.rows || a._id.cols - b._id.cols);
+    if (shapes.length === 0) return null;
+
+    const dayNumber = Math.floor(Date.parse(`${dateKey}T00:00:00Z`) / 86400000);
+    const ids = shapes[dayNumber % shapes.length].ids.sort((a, b) => a - b);
+    const hash = parseInt(crypto.createHash('sha256').update(dateKey).digest('hex').slice(0, 8), 16);
+
+    try {
+      daily = await DailyPuzzle.create({ date: dateKey, puzzleId: ids[hash % ids.length] });
+    } catch (err) {
+      // Another request picked it first (unique index on date)
+      daily = await DailyPuzzle.findOne({ date: dateKey });
+    }
+  }
+
+  return getPuzzleById(daily.puzzleId);
+}
+
+// API: Today's puzzle, your result and streak
+app.get('/api/daily', requireAuth, async (req, res) => {
+  try {
+    const date = dailyDateKey();
+    const puzzle = await getDailyPuzzle(date);
+    if (!puzzle) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    const [user, result] = await Promise.all([
+      User.findOne({ username: req.user.username }),
+      DailyResult.findOne({ date, username: req.user.username })
+    ]);
+
+    return res.json({
+      date,
+      timezone: DAILY_TIMEZONE,
+      puzzle: puzzleToJson(puzzle, true),
+      result: result ? { timeMs: result.timeMs, hintsUsed: result.hintsUsed, revealed: result.revealed } : null,
+      streak: user ? streakFor(user, date) : { current: 0, longest: 0 }
+    });
+  } catch (err) {
+    console.error('Daily fetch error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// API: Submit today's daily solve (verified like /api/progress; first solve of the day counts)
+app.post('/api/daily', requireAuth, async (req, res) => {
+  try {
+    const { elapsed, path: movePath } = req.body || {};
+    if (typeof elapsed === 'undefined' || !movePath) {
+      return res.status(400).json({ error: 'missing' });
+    }
+
+    // A queued solve that only arrives after the day rolled over no longer counts
+    const date = dailyDateKey();
+    if (req.body.date && req.body.date !== date) {
+      return res.status(410).json({ error: 'daily_closed', date });
+    }
+
+    const puzzle = await getDailyPuzzle(date);
+    if (!puzzle) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    const problem = checkSolutionPath(puzzle.grid, movePath, puzzle.walls);
+    if (problem) {
+      return res.status(422).json({ error: 'invalid_solution', code: problem.code, at: problem.at });
+    }
+
+    const timeMs = Number(elapsed);
+    if (!Number.isFinite(timeMs) || timeMs < 0) {
+      return res.status(400).json({ error: 'invalid_elapsed' });
+    }
+
+    const username = req.user.username;
+    const user = await User.findOne({ username });
+    if (!user) {
+      return res.status(401).json({ error: 'unauthenticated' });
+    }
+
+    await InProgress.deleteOne({ username, key: `daily-${date}` });
+
+    // A reveal is recorded too: it takes the day's one result, so no clean solve can follow it
+    const revealed = req.body.revealed === true;
+    let existing = await DailyResult.findOne({ date, username });
+    if (!existing) {
+      try {
+        await DailyResult.create({
+          date,
+          username,
+          puzzleId: puzzle.puzzleId,
+          timeMs,
+          hintsUsed: Math.max(0, parseInt(req.body.hintsUsed, 10) || 0),
+          revealed,
+          moves: revealed ? null : verifiedMoveLog(puzzle, req.body.moves, movePath)
+        });
+      } catch (err) {
+        // A simultaneous submit (e.g. an outbox retry next to the live one) recorded it first
+        if (err.code !== 11000) throw err;
+        existing = await DailyResult.findOne({ date, username });
+      }
+
+      if (!existing && !revealed && user.lastDailyDate !== date) {
+        user.streakCurrent = user.lastDailyDate === previousDateKey(date) ? user.streakCurrent + 1 : 1;
+        user.streakLongest = Math.max(user.streakLongest, user.streakCurrent);
+        user.lastDailyDate = date;
+        await user.save();
+      }
+    }
+
+    return res.json({
+      ok: true,
+      date,
+      timeMs: existing ? existing.timeMs : timeMs,
+      revealed: existing ? existing.revealed : revealed,
+      streak: streakFor(user, date)
+    });
+  } catch (err) {
+    console.error('Daily save error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// API: Daily leaderboard (defaults to today)
+app.get('/api/daily/leaderboard', async (req, res) => {
+  try {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '') ? req.query.date : dailyDateKey();
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    // Revealed results never rank
+    const ranked = { date, revealed: { $ne: true } };
+    const results = await DailyResult.find(ranked).sort({ timeMs: 1, createdAt: 1 }).limit(limit);
+
+    // Same ?user=<name> rank lookup as the per-puzzle leaderboard
+    let me = null;
+    const username = String(req.query.user || '').toLowerCase();
+    if (username) {
+      const mine = await DailyResult.findOne({ ...ranked, username });
+      if (mine) {
+        const ahead = await DailyResult.countDocuments({ ...ranked, timeMs: { $lt: mine.timeMs } });
+        me = { rank: ahead + 1, username, timeMs: mine.timeMs, hinted: mine.hintsUsed > 0 };
+      }
+    }
+
+    return res.json({
+      date,
+      results: results.map((r, i) => ({ rank: i + 1, username: r.username, timeMs: r.timeMs, hinted: r.hintsUsed > 0 })),
+      me
+    });
+  } catch (err) {
+    console.error('Daily leaderboard error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// API: Recorded solve for the replay page.
+//   ?id=<puzzleId>&user=<name>   that player's fastest recorded solve of the puzzle
+//   ?date=<YYYY-MM-DD>&user=...  their daily solve for that day
+app.get('/api/replay', requireAuth, async (req, res) => {
+  try {
+    const username = String(req.query.user || '').toLowerCase();
+    if (!username || (typeof req.query.id === 'undefined' && !req.query.date)) {
+      return res.status(400).json({ error: 'missing' });
+    }
+
+    let puzzle;
+    let recorded;
+    if (req.query.date) {
+      recorded = await DailyResult.findOne({ date: String(req.query.date), username, moves: { $ne: null } }).select('+moves');
+      puzzle = recorded ? await getPuzzleById(recorded.puzzleId) : null;
+    } else {
+      puzzle = await getPuzzleById(req.query.id);
+      recorded = puzzle
+        ? await Attempt.findOne({ username, puzzleId: puzzle.puzzleId, revealed: { $ne: true }, moves: { $ne: null } })
+          .select('+moves')
+          .sort({ durationMs: 1 })
+        : null;
+    }
+    if (!puzzle || !recorded) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    return res.json({
+      puzzle: puzzleToJson(puzzle, true),
+      username,
+      date: req.query.date ? recorded.date : null,
+      timeMs: req.query.date ? recorded.timeMs : recorded.durationMs,
+      moves: recorded.moves
+    });
+  } catch (err) {
+    console.error('Replay fetch error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
 // API: Register
 app.post('/api/register', async (req, res) => {
   try {
+    const limit = await registerIpLimiter.hit(req.ip);
+    if (!limit.allowed) {
+      return tooManyRequests(res, 'rate_limited', limit.retryAfterMs);
+    }
+
     const { username, password } = req.body || {};
     if (!username || !password) {
       return res.status(400).json({ error: 'missing' });
     }
 
+    const problem = passwordProblem(password, username);
+    if (problem) {
+      return res.status(400).json({ error: 'weak_password', reason: problem });
+    }
+
     // Check if any users exist (first user can register freely)
     const userCount = await User.countDocuments();
     if (userCount > 0) {
@@ -58,58 +849,273 @@ app.post('/api/login', async (req, res) => {
       return res.status(400).json({ error: 'missing' });
     }
 
-    const user = await User.findOne({ username: username.toLowerCase() });
-    if (!user) {
-      return res.status(404).json({ error: 'not_found' });
+    const limit = await loginIpLimiter.hit(req.ip);
+    if (!limit.allowed) {
+      return tooManyRequests(res, 'rate_limited', limit.retryAfterMs);
     }
 
-    const isMatch = await user.comparePassword(password);
+    const name = String(username).toLowerCase();
+    const lock = await loginFailures.check(name);
+    if (lock.blocked) {
+      return tooManyRequests(res, 'locked', lock.retryAfterMs);
+    }
+
+    // Unknown user and wrong password look the same (same error, same bcrypt work)
+    const user = await User.findOne({ username: name });
+    let isMatch = false;
+    if (user) isMatch = await user.comparePassword(password);
+    else await bcrypt.compare(String(password), DUMMY_PASSWORD_HASH);
+
     if (!isMatch) {
-      return res.status(401).json({ error: 'wrong_password' });
+      // The failure that uses up the allowance locks the account straight away
+      await loginFailures.hit(name);
+      const nowLocked = await loginFailures.check(name);
+      if (nowLocked.blocked) {
+        return tooManyRequests(res, 'locked', nowLocked.retryAfterMs);
+      }
+      return res.status(401).json({ error: 'invalid_credentials' });
     }
+    await loginFailures.reset(name);
+
+    const { token, expiresAt } = await createSession(user.username);
+    setSessionCookie(req, res, token, expiresAt);
 
     console.log(` User logged in: ${username}`);
-    return res.json({ ok: true });
+    return res.json({ ok: true, username: user.username, token, expiresAt });
   } catch (err) {
     console.error('Login error:', err);
     return res.status(500).json({ error: 'server_error' });
   }
 });
 
-// API: Submit progress
-app.post('/api/progress', async (req, res) => {
+// API: Logout (invalidates the current session)
+app.post('/api/logout', requireAuth, async (req, res) => {
+  try {
+    await Session.deleteOne({ tokenHash: req.sessionTokenHash });
+    clearSessionCookie(res);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('Logout error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// API: Change your own password (other sessions are signed out)
+app.post('/api/account/password', requireAuth, async (req, res) => {
   try {
-    const { username, id, elapsed, n, numbersCount } = req.body || {};
-    if (!username || typeof id === 'undefined' || typeof elapsed === 'undefined') {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!currentPassword || !newPassword) {
       return res.status(400).json({ error: 'missing' });
     }
 
-    // Upsert: update if exists, insert if not
-    await Progress.findOneAndUpdate(
-      { username: username.toLowerCase(), puzzleId: id },
-      {
-        username: username.toLowerCase(),
-        puzzleId: id,
-        timeMs: Number(elapsed),
-        gridSize: n || null,
-        numbersCount: numbersCount || null
-      },
-      { upsert: true, new: true }
-    );
+    const user = await User.findOne({ username: req.user.username });
+    if (!user) {
+      return res.status(401).json({ error: 'unauthenticated' });
+    }
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({ error: 'wrong_password' });
+    }
+
+    const problem = passwordProblem(newPassword, user.username);
+    if (problem) {
+      return res.status(400).json({ error: 'weak_password', reason: problem });
+    }
+
+    // Hashed by the pre('save') hook in models/User.js
+    user.password = newPassword;
+    await user.save();
+    await Session.deleteMany({ username: user.username, tokenHash: { $ne: req.sessionTokenHash } });
+
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('Password change error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// API: Redeem an admin-issued reset code and set a new password.
+// Wrong user and wrong/expired code give the same error, and count like failed logins.
+app.post('/api/account/reset', async (req, res) => {
+  try {
+    const limit = await loginIpLimiter.hit(req.ip);
+    if (!limit.allowed) {
+      return tooManyRequests(res, 'rate_limited', limit.retryAfterMs);
+    }
+
+    const { username, code, newPassword } = req.body || {};
+    if (!username || !code || !newPassword) {
+      return res.status(400).json({ error: 'missing' });
+    }
+
+    const name = String(username).toLowerCase();
+    const lock = await loginFailures.check(name);
+    if (lock.blocked) {
+      return tooManyRequests(res, 'locked', lock.retryAfterMs);
+    }
+
+    const reset = await ResetCode.findOne({ username: name, expiresAt: { $gt: new Date() } });
+    const given = Buffer.from(hashToken(normalizeResetCode(code)), 'hex');
+    const valid = !!reset && crypto.timingSafeEqual(given, Buffer.from(reset.codeHash, 'hex'));
+    if (!valid) {
+      await loginFailures.hit(name);
+      return res.status(400).json({ error: 'invalid_code' });
+    }
+
+    const problem = passwordProblem(newPassword, name);
+    if (problem) {
+      return res.status(400).json({ error: 'weak_password', reason: problem });
+    }
+
+    const user = await User.findOne({ username: name });
+    if (!user) {
+      return res.status(400).json({ error: 'invalid_code' });
+    }
+
+    // Hashed by the pre('save') hook in models/User.js; the code is single use
+    user.password = newPassword;
+    await user.save();
+    await ResetCode.deleteOne({ _id: reset._id });
+    await Session.deleteMany({ username: name });
+    await loginFailures.reset(name);
 
+    console.log(` Password reset with code: ${name}`);
     return res.json({ ok: true });
+  } catch (err) {
+    console.error('Password reset error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// API: Current session (pages call this to check who is logged in)
+app.get('/api/session', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.user.username }).select('isAdmin');
+    return res.json({ username: req.user.username, expiresAt: req.sessionExpiresAt, isAdmin: !!(user && user.isAdmin) });
+  } catch (err) {
+    console.error('Session fetch error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// API: Submit progress
+app.post('/api/progress', requireAuth, async (req, res) => {
+  try {
+    const { id, elapsed, path: movePath } = req.body || {};
+    if (typeof id === 'undefined' || typeof elapsed === 'undefined' || !movePath) {
+      return res.status(400).json({ error: 'missing' });
+    }
+
+    const puzzle = await getPuzzleById(id);
+    if (!puzzle) {
+      return res.status(404).json({ error: 'invalid_solution', code: 'unknown_puzzle' });
+    }
+
+    // Replay the path with the shared engine; reject anything that isn't a full solve
+    const problem = checkSolutionPath(puzzle.grid, movePath, puzzle.walls);
+    if (problem) {
+      return res.status(422).json({ error: 'invalid_solution', code: problem.code, at: problem.at });
+    }
+
+    const username = req.user.username;
+    const durationMs = Number(elapsed);
+    if (!Number.isFinite(durationMs) || durationMs < 0) {
+      return res.status(400).json({ error: 'invalid_elapsed' });
+    }
+    // Queued solves (the client outbox) arrive late: trust the client's finish time if it isn't in the future
+    const now = new Date();
+    let finishedAt = new Date(req.body.finishedAt || NaN);
+    if (isNaN(finishedAt.getTime()) || finishedAt > now) finishedAt = now;
+
+    // The client's start time is only trusted if it is plausible; otherwise work it out
+    let startedAt = new Date(req.body.startedAt || NaN);
+    if (isNaN(startedAt.getTime()) || startedAt > finishedAt) {
+      startedAt = new Date(finishedAt.getTime() - durationMs);
+    }
+
+    // Once the solution has been revealed, later solves of that puzzle don't count either
+    const revealed = req.body.revealed === true ||
+      !!(await Attempt.exists({ username, puzzleId: puzzle.puzzleId, revealed: true }));
+
+    // The outbox (zip-sync.js) tags each solve, so one it sends again isn't counted twice
+    const clientId = typeof req.body.clientId === 'string' && req.body.clientId.length <= 64
+      ? req.body.clientId
+      : null;
+
+    // Every solve is kept; Progress only summarises first solve and personal best
+    let attempt;
+    try {
+      attempt = await Attempt.create({
+        username,
+        puzzleId: puzzle.puzzleId,
+        startedAt,
+        finishedAt,
+        durationMs,
+        hintsUsed: Math.max(0, parseInt(req.body.hintsUsed, 10) || 0),
+        revealed,
+        gridSize: puzzle.gridSize,
+        gridCols: boardCols(puzzle),
+        numbersCount: puzzle.numbersCount,
+        clientId,
+        moves: verifiedMoveLog(puzzle, req.body.moves, movePath)
+      });
+    } catch (err) {
+      // Sent again by another tab, or after a lost response: it is already recorded
+      if (err.code !== 11000 || !clientId) throw err;
+      const progress = await Progress.findOne({ username, puzzleId: puzzle.puzzleId });
+      return res.json({
+        ok: true,
+        bestMs: progress ? progress.timeMs : null,
+        firstMs: progress ? progress.firstTimeMs : null,
+        personalBest: false,
+        revealed,
+        rating: null
+      });
+    }
+    const progress = await Progress.recordAttempt(attempt);
+    await InProgress.deleteOne({ username, key: String(puzzle.puzzleId) });
+
+    // Only a player's first solve of a puzzle moves their rating, and only without hints (see rating.js)
+    let rating = null;
+    if (progress && isRatedSolve(attempt, progress.solveCount)) {
+      const user = await User.findOne({ username });
+      if (user && await rateSolve(user, puzzle.puzzleId, durationMs)) {
+        await user.save();
+        rating = Math.round(user.rating);
+      }
+    }
+
+    return res.json({
+      ok: true,
+      bestMs: progress ? progress.timeMs : null,
+      firstMs: progress ? progress.firstTimeMs : null,
+      personalBest: !!progress && !attempt.revealed && progress.timeMs === durationMs,
+      revealed: attempt.revealed,
+      rating
+    });
   } catch (err) {
     console.error('Progress save error:', err);
     return res.status(500).json({ error: 'server_error' });
   }
 });
 
-// API: Get all progress (for rankings)
+// Query for ?size=<n> (n×n) or ?size=<rows>x<cols>; null when absent or malformed
+function sizeFilter(value) {
+  const match = /^(\d+)(?:x(\d+))?$/i.exec(String(value || '').trim());
+  if (!match) return null;
+  const rows = Number(match[1]);
+  const cols = match[2] ? Number(match[2]) : rows;
+  // Square rows recorded before gridCols existed have no column count
+  return rows === cols
+    ? { gridSize: rows, gridCols: { $in: [cols, null] } }
+    : { gridSize: rows, gridCols: cols };
+}
+
+// API: Get all progress (for rankings; ?size=<n> or ?size=<rows>x<cols> keeps only that board shape)
 app.get('/api/progress', async (req, res) => {
   try {
-    const progressDocs = await Progress.find();
+    const progressDocs = await Progress.find(sizeFilter(req.query.size) || {});
     
-    // Transform to same format as before
+    // Transform to same format as before (ms is the personal best)
     const result = {};
     for (const doc of progressDocs) {
       if (!result[doc.username]) {
@@ -117,7 +1123,13 @@ app.get('/api/progress', async (req, res) => {
       }
       result[doc.username].times[doc.puzzleId] = {
         ms: doc.timeMs,
+        hinted: doc.hintsUsed > 0,
+        // Rows from before hints were tracked have no clean time; their best counts as clean
+        cleanMs: doc.cleanTimeMs != null ? doc.cleanTimeMs : (doc.hintsUsed ? null : doc.timeMs),
+        firstMs: doc.firstTimeMs,
+        solves: doc.solveCount,
         n: doc.gridSize,
+        m: boardCols(doc),
         numbersCount: doc.numbersCount
       };
     }
@@ -129,10 +1141,32 @@ app.get('/api/progress', async (req, res) => {
   }
 });
 
+// API: Skill ratings, best first (players with no rated solves yet are left out)
+app.get('/api/ratings', async (req, res) => {
+  try {
+    const users = await User.find({ ratedSolves: { $gt: 0 } })
+      .select('username rating ratedSolves')
+      .sort({ rating: -1 });
+    return res.json(users.map((u, i) => ({
+      rank: i + 1,
+      username: u.username,
+      rating: Math.round(u.rating),
+      ratedSolves: u.ratedSolves
+    })));
+  } catch (err) {
+    console.error('Ratings fetch error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
 // API: Get specific user's progress
-app.get('/api/progress/:username', async (req, res) => {
+app.get('/api/progress/:username', requireAuth, async (req, res) => {
   try {
     const username = req.params.username.toLowerCase();
+    // Only your own detailed progress (the public aggregate is GET /api/progress)
+    if (username !== req.user.username) {
+      return res.status(403).json({ error: 'forbidden' });
+    }
     const progressDocs = await Progress.find({ username });
     
     // Transform to localStorage format
@@ -140,7 +1174,8 @@ app.get('/api/progress/:username', async (req, res) => {
       opened: {},
       completed: {},
       times: {},
-      startTimes: {}
+      startTimes: {},
+      revealed: {}
     };
     
     for (const doc of progressDocs) {
@@ -148,6 +1183,12 @@ app.get('/api/progress/:username', async (req, res) => {
       result.opened[doc.puzzleId] = true;
       result.times[doc.puzzleId] = doc.timeMs;
     }
+
+    // Revealed puzzles (they stay unsolved, but can't be solved clean any more)
+    for (const puzzleId of await Attempt.distinct('puzzleId', { username, revealed: true })) {
+      result.opened[puzzleId] = true;
+      result.revealed[puzzleId] = true;
+    }
     
     return res.json(result);
   } catch (err) {
@@ -157,37 +1198,371 @@ app.get('/api/progress/:username', async (req, res) => {
 });
 
 
-// Admin: List users (protected)
-app.get('/api/users', async (req, res) => {
-  const token = req.header('x-admin-token');
-  if (token !== ADMIN_TOKEN) {
-    return res.status(401).json({ error: 'unauthorized' });
+// =====================
+// In-progress puzzles (resume on any device)
+// =====================
+// Keys are the client's progress keys: a puzzle id or daily-YYYY-MM-DD
+const IN_PROGRESS_KEY = /^(\d+|daily-\d{4}-\d{2}-\d{2})$/;
+const MAX_PATH_CELLS = 1000;
+
+function cleanPartialPath(movePath) {
+  if (!Array.isArray(movePath) || movePath.length > MAX_PATH_CELLS) return null;
+  const out = [];
+  for (const cell of movePath) {
+    if (!Array.isArray(cell) || cell.length !== 2 || !cell.every(Number.isInteger)) return null;
+    out.push([cell[0], cell[1]]);
   }
+  return out;
+}
 
+// API: Your unfinished puzzles (summary only)
+app.get('/api/inprogress', requireAuth, async (req, res) => {
   try {
-    const users = await User.find().select('username createdAt');
-    return res.json(users);
+    const docs = await InProgress.find({ username: req.user.username }).select('key path elapsedMs savedAt');
+    return res.json(docs.map(d => ({ key: d.key, cells: d.path.length, elapsedMs: d.elapsedMs, savedAt: d.savedAt })));
   } catch (err) {
+    console.error('In-progress list error:', err);
     return res.status(500).json({ error: 'server_error' });
   }
 });
 
-// Admin: Delete user (protected)
-app.delete('/api/users/:username', async (req, res) => {
-  const token = req.header('x-admin-token');
-  if (token !== ADMIN_TOKEN) {
-    return res.status(401).json({ error: 'unauthorized' });
+// API: One unfinished puzzle, with its path and move log
+app.get('/api/inprogress/:key', requireAuth, async (req, res) => {
+  try {
+    const doc = await InProgress.findOne({ username: req.user.username, key: req.params.key });
+    if (!doc) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    return res.json({
+      key: doc.key,
+      path: doc.path,
+      elapsedMs: doc.elapsedMs,
+      hintsUsed: doc.hintsUsed,
+      moves: doc.moves,
+      savedAt: doc.savedAt
+    });
+  } catch (err) {
+    console.error('In-progress fetch error:', err);
+    return res.status(500).json({ error: 'server_error' });
   }
+});
 
+// API: Save an unfinished puzzle. An empty path removes it. Older saves than the stored one are ignored,
+// so a stale tab can't overwrite progress made on another device.
+app.put('/api/inprogress/:key', requireAuth, async (req, res) => {
   try {
+    const key = req.params.key;
+    if (!IN_PROGRESS_KEY.test(key)) {
+      return res.status(400).json({ error: 'bad_key' });
+    }
+    const movePath = cleanPartialPath((req.body || {}).path);
+    const savedAt = new Date(req.body.savedAt || NaN);
+    if (!movePath || isNaN(savedAt.getTime())) {
+      return res.status(400).json({ error: 'missing' });
+    }
+
+    const username = req.user.username;
+    const existing = await InProgress.findOne({ username, key });
+    if (existing && existing.savedAt >= savedAt) {
+      return res.json({ ok: true, stale: true });
+    }
+
+    if (movePath.length === 0) {
+      await InProgress.deleteOne({ username, key });
+      return res.json({ ok: true });
+    }
+
+    await InProgress.findOneAndUpdate(
+      { username, key },
+      {
+        username,
+        key,
+        path: movePath,
+        elapsedMs: Math.max(0, Number(req.body.elapsedMs) || 0),
+        hintsUsed: Math.max(0, parseInt(req.body.hintsUsed, 10) || 0),
+        moves: cleanMoveLog(req.body.moves),
+        savedAt
+      },
+      { upsert: true, new: true }
+    );
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('In-progress save error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// =====================
+// Live race rooms (see race-rooms.js). Results go to RaceResult, never to Attempt/Progress.
+// =====================
+const raceRooms = createRaceRooms();
+
+const RACE_ERROR_STATUS = {
+  not_in_race: 403,
+  not_host: 403,
+  race_started: 409,
+  room_full: 409,
+  not_racing: 409,
+  already_finished: 409
+};
+
+function raceError(res, error) {
+  return res.status(RACE_ERROR_STATUS[error] || 400).json({ error });
+}
+
+// API: Your recent race results (newest first)
+app.get('/api/races/results', requireAuth, async (req, res) => {
+  try {
+    const results = await RaceResult.find({ username: req.user.username }).sort({ startedAt: -1 }).limit(20);
+    return res.json(results.map(r => ({
+      code: r.code,
+      puzzleId: r.puzzleId,
+      place: r.place,
+      players: r.players,
+      timeMs: r.timeMs,
+      startedAt: r.startedAt
+    })));
+  } catch (err) {
+    console.error('Race results error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// API: Open a race room on a puzzle (you are its host)
+app.post('/api/races', requireAuth, async (req, res) => {
+  try {
+    const puzzle = await getPuzzleById((req.body || {}).puzzleId);
+    if (!puzzle) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    const room = raceRooms.create(req.user.username, puzzleToJson(puzzle, true));
+    return res.status(201).json(raceRooms.snapshot(room));
+  } catch (err) {
+    console.error('Race create error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// API: Join a room by its code (only before the race starts; rejoining your own room is fine)
+app.post('/api/races/:code/join', requireAuth, (req, res) => {
+  const room = raceRooms.get(req.params.code);
+  if (!room) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  const error = raceRooms.join(room, req.user.username);
+  if (error) return raceError(res, error);
+  return res.json(raceRooms.snapshot(room));
+});
+
+// API: Live room updates as Server-Sent Events: `state` (the whole room, on every change)
+// and `progress` ({ username, cells } while racing)
+app.get('/api/races/:code/events', requireAuth, (req, res) => {
+  const room = raceRooms.get(req.params.code);
+  if (!room) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  if (!room.players.has(req.user.username)) {
+    return raceError(res, 'not_in_race');
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  const unsubscribe = raceRooms.subscribe(room, req.user.username, res);
+  req.on('close', unsubscribe);
+});
+
+// API: Start the countdown (host only)
+app.post('/api/races/:code/start', requireAuth, (req, res) => {
+  const room = raceRooms.get(req.params.code);
+  if (!room) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  const error = raceRooms.start(room, req.user.username);
+  if (error) return raceError(res, error);
+  return res.json({ ok: true, startsAt: room.startsAt });
+});
+
+// API: Cells covered so far, shown to the other players
+app.post('/api/races/:code/progress', requireAuth, (req, res) => {
+  const room = raceRooms.get(req.params.code);
+  if (!room) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  const cells = parseInt((req.body || {}).cells, 10);
+  if (!Number.isFinite(cells)) {
+    return res.status(400).json({ error: 'missing' });
+  }
+  const error = raceRooms.progress(room, req.user.username, cells);
+  if (error) return raceError(res, error);
+  return res.json({ ok: true });
+});
+
+// API: Finish. The path is checked like any solve; the time runs from the shared start on the server's clock.
+app.post('/api/races/:code/finish', requireAuth, async (req, res) => {
+  try {
+    const room = raceRooms.get(req.params.code);
+    if (!room) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    const movePath = (req.body || {}).path;
+    if (!movePath) {
+      return res.status(400).json({ error: 'missing' });
+    }
+    const problem = checkSolutionPath(room.puzzle.grid, movePath, room.puzzle.walls);
+    if (problem) {
+      return res.status(422).json({ error: 'invalid_solution', code: problem.code, at: problem.at });
+    }
+
+    const username = req.user.username;
+    const result = raceRooms.finish(room, username);
+    if (result.error) return raceError(res, result.error);
+
+    await RaceResult.create({
+      raceId: room.raceId,
+      code: room.code,
+      username,
+      puzzleId: room.puzzle.id,
+      place: result.place,
+      timeMs: result.timeMs,
+      players: room.players.size,
+      startedAt: new Date(room.startsAt)
+    });
+    return res.json({ ok: true, timeMs: result.timeMs, place: result.place });
+  } catch (err) {
+    console.error('Race finish error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// API: Leave a room (before the start you're removed; after it you stay on the results)
+app.post('/api/races/:code/leave', requireAuth, (req, res) => {
+  const room = raceRooms.get(req.params.code);
+  if (!room) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  const error = raceRooms.leave(room, req.user.username);
+  if (error) return raceError(res, error);
+  return res.json({ ok: true });
+});
+
+// Admin: List users (?q= filters by username)
+app.get('/api/users', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim().toLowerCase();
+    const filter = q ? { username: { $regex: q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') } } : {};
+    const users = await User.find(filter).select('username createdAt isAdmin').sort({ username: 1 });
+
+    const counts = await Progress.aggregate([
+      { $match: { username: { $in: users.map(u => u.username) } } },
+      { $group: { _id: '$username', solved: { $sum: 1 } } }
+    ]);
+    const solvedBy = new Map(counts.map(c => [c._id, c.solved]));
+
+    return res.json(users.map(u => ({
+      username: u.username,
+      createdAt: u.createdAt,
+      isAdmin: !!u.isAdmin,
+      solved: solvedBy.get(u.username) || 0
+    })));
+  } catch (err) {
+    console.error('User list error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Admin: Issue a one-time password reset code (replaces any earlier code for that user)
+app.post('/api/users/:username/reset-code', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const username = req.params.username.toLowerCase();
+    const user = await User.findOne({ username }).select('username');
+    if (!user) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    const code = newResetCode();
+    const expiresAt = new Date(Date.now() + RESET_CODE_TTL_MS);
+    await ResetCode.findOneAndUpdate(
+      { username },
+      { username, codeHash: hashToken(normalizeResetCode(code)), createdBy: req.user.username, expiresAt },
+      { upsert: true, new: true }
+    );
+
+    return res.json({ ok: true, username, code, expiresAt });
+  } catch (err) {
+    console.error('Reset code error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Admin: One user's progress (first and best time per puzzle)
+app.get('/api/users/:username/progress', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const username = req.params.username.toLowerCase();
+    const docs = await Progress.find({ username }).sort({ puzzleId: 1 });
+    return res.json(docs.map(d => ({
+      puzzleId: d.puzzleId,
+      n: d.gridSize,
+      m: boardCols(d),
+      timeMs: d.timeMs,
+      firstTimeMs: d.firstTimeMs,
+      solves: d.solveCount,
+      bestSolvedAt: d.bestSolvedAt || d.updatedAt
+    })));
+  } catch (err) {
+    console.error('User progress (admin) error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Admin: Clear a bad time. Drops the attempt behind the user's best on that puzzle and
+// rebuilds their Progress from what is left (a row with no attempts behind it is removed).
+app.delete('/api/users/:username/progress/:puzzleId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const username = req.params.username.toLowerCase();
+    const puzzleId = Number(req.params.puzzleId);
+    const progress = await Progress.findOne({ username, puzzleId });
+    if (!progress) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    const best = await Attempt.findOne({ username, puzzleId, revealed: { $ne: true } }).sort({ durationMs: 1 });
+    if (best) await Attempt.deleteOne({ _id: best._id });
+    const rebuilt = await Progress.rebuild(username, puzzleId);
+
+    return res.json({ ok: true, timeMs: rebuilt ? rebuilt.timeMs : null });
+  } catch (err) {
+    console.error('Clear time error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Admin: Delete user (protected)
+app.delete('/api/users/:username', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (req.params.username.toLowerCase() === req.user.username) {
+      return res.status(400).json({ error: 'cannot_delete_self' });
+    }
     const result = await User.deleteOne({ username: req.params.username.toLowerCase() });
     if (result.deletedCount === 0) {
       return res.status(404).json({ error: 'not_found' });
     }
-    // Also delete their progress
+    // Also delete their progress and sign them out everywhere
     await Progress.deleteMany({ username: req.params.username.toLowerCase() });
+    await Attempt.deleteMany({ username: req.params.username.toLowerCase() });
+    await Session.deleteMany({ username: req.params.username.toLowerCase() });
+    await DailyResult.deleteMany({ username: req.params.username.toLowerCase() });
+    await InProgress.deleteMany({ username: req.params.username.toLowerCase() });
+    await ResetCode.deleteMany({ username: req.params.username.toLowerCase() });
+    await PendingPuzzle.deleteMany({ submittedBy: req.params.username.toLowerCase(), status: 'pending' });
+    await RaceResult.deleteMany({ username: req.params.username.toLowerCase() });
     return res.json({ ok: true });
   } catch (err) {
+    console.error('User delete error:', err);
     return res.status(500).json({ error: 'server_error' });
   }
 });
@@ -209,12 +1584,39 @@ app.get('/zip', (req, res) => {
   res.sendFile(path.join(__dirname, 'zip.html'));
 });
 
+app.get('/replay', (req, res) => {
+  res.sendFile(path.join(__dirname, 'replay.html'));
+});
+
+app.get('/editor', (req, res) => {
+  res.sendFile(path.join(__dirname, 'editor.html'));
+});
+
+app.get('/race', (req, res) => {
+  res.sendFile(path.join(__dirname, 'race.html'));
+});
+
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'admin.html'));
+});
+
 app.get('/rankings', (req, res) => {
   res.sendFile(path.join(__dirname, 'rankings.html'));
 });
 
-// Serve static files (CSS, JS, JSON, etc.)
-app.use(express.static(path.join(__dirname)));
+// Browser assets. Only these files are served: the repo root also holds puzzles.json (generate.js
+// output, with solutions), users.json, the scripts and the server itself, none of which may leak.
+// The site reads puzzles from /api/puzzles.
+const PUBLIC_FILES = [
+  'index.html', 'login.html', 'zip.html', 'replay.html', 'editor.html', 'race.html', 'admin.html', 'rankings.html',
+  'style.css',
+  'zip-engine.js', 'zip-board.js', 'zip-sync.js', 'zip.js', 'replay.js', 'editor.js', 'editor-worker.js', 'race.js'
+];
+for (const file of PUBLIC_FILES) {
+  app.get(`/${file}`, (req, res) => {
+    res.sendFile(path.join(__dirname, file));
+  });
+}
 
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
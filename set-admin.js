@@ -0,0 +1,45 @@
+// set-admin.js
+// Grants (or with --revoke, removes) admin rights for a user.
+//
+//   node set-admin.js <username> [--revoke]
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const User = require('./models/User');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/zipdb';
+
+function parseArgs(argv) {
+  const out = { username: null, revoke: false };
+  for (let i = 2; i < argv.length; i++) {
+    if (argv[i] === '--revoke') out.revoke = true;
+    else if (!out.username) out.username = String(argv[i]).toLowerCase();
+  }
+  return out;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (!args.username) {
+    console.error('Usage: node set-admin.js <username> [--revoke]');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(MONGODB_URI);
+  const result = await User.updateOne({ username: args.username }, { $set: { isAdmin: !args.revoke } });
+  if (result.matchedCount === 0) {
+    console.error(`No user named ${args.username}`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`${args.username} is ${args.revoke ? 'no longer' : 'now'} an admin.`);
+}
+
+main()
+  .catch(err => {
+    console.error('set-admin failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
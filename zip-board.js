@@ -0,0 +1,112 @@
+// zip-board.js
+// Board + SVG path overlay renderer, shared by the game (zip.js) and the replay page (replay.js).
+//
+//   const view = ZipBoard.createBoardView(boardEl, pathEl, grid, walls);
+//   view.build();         // numbered cells
+//   view.draw(game.path); // { r, c } cells, head highlighted
+//
+// Boards can be rectangular: the stage takes the grid's aspect ratio and the overlay's viewBox
+// is one unit per cell, so the path keeps the same thickness in both directions.
+// Walls ([r1, c1, r2, c2] edges, optional) are drawn as a thick border on the top/left cell of each edge.
+
+(function (global) {
+  "use strict";
+
+  // Tall boards get a narrower stage so they still fit the same height as a square one
+  const STAGE_MAX_PX = 420;
+  // Above this many cells per side the number badges shrink to fit (see .zip-board.dense)
+  const DENSE_FROM = 10;
+
+  function createBoardView(boardEl, pathEl, grid, walls = null) {
+    const rows = grid.length;
+    const cols = grid[0].length;
+
+    // "r,c" -> classes for the walls on that cell's right/bottom edge
+    const wallClasses = new Map();
+    for (const [r1, c1, r2, c2] of walls || []) {
+      const key = `${Math.min(r1, r2)},${Math.min(c1, c2)}`;
+      const cls = r1 === r2 ? "wall-right" : "wall-bottom";
+      wallClasses.set(key, [...(wallClasses.get(key) || []), cls]);
+    }
+
+    function cellCenterToOverlay(rc) {
+      return { x: rc.c + 0.5, y: rc.r + 0.5 };
+    }
+
+    return {
+      build() {
+        boardEl.style.setProperty("--rows", rows);
+        boardEl.style.setProperty("--cols", cols);
+        boardEl.classList.toggle("dense", Math.max(rows, cols) >= DENSE_FROM);
+        boardEl.innerHTML = "";
+
+        const stage = boardEl.parentElement;
+        if (stage) {
+          stage.style.aspectRatio = `${cols} / ${rows}`;
+          stage.style.width = rows > cols ? `min(${Math.round(STAGE_MAX_PX * cols / rows)}px, 92vw)` : "";
+        }
+        const overlay = pathEl.ownerSVGElement;
+        if (overlay) overlay.setAttribute("viewBox", `0 0 ${cols} ${rows}`);
+
+        for (let r = 0; r < rows; r++) {
+          for (let c = 0; c < cols; c++) {
+            const cell = document.createElement("div");
+            cell.className = "zip-cell";
+            cell.dataset.r = r;
+            cell.dataset.c = c;
+
+            if (c === cols - 1) cell.classList.add("last-col");
+            if (r === rows - 1) cell.classList.add("last-row");
+            for (const cls of wallClasses.get(`${r},${c}`) || []) cell.classList.add(cls);
+
+            const v = grid[r][c];
+            if (v !== 0) {
+              const badge = document.createElement("div");
+              badge.className = "zip-num";
+              badge.textContent = v;
+              cell.appendChild(badge);
+            }
+
+            boardEl.appendChild(cell);
+          }
+        }
+
+        // line thickness is a fixed share of a cell
+        pathEl.setAttribute("stroke-width", "0.42");
+      },
+
+      draw(path) {
+        boardEl.querySelectorAll(".zip-cell").forEach(el => el.classList.remove("used", "head"));
+
+        path.forEach((rc, i) => {
+          const el = boardEl.querySelector(`[data-r="${rc.r}"][data-c="${rc.c}"]`);
+          if (!el) return;
+          el.classList.add("used");
+          if (i === path.length - 1) el.classList.add("head");
+        });
+
+        if (path.length === 0) {
+          pathEl.setAttribute("d", "");
+          return;
+        }
+
+        const pts = path.map(cellCenterToOverlay);
+        const d = ["M", pts[0].x, pts[0].y];
+        for (let i = 1; i < pts.length; i++) d.push("L", pts[i].x, pts[i].y);
+        pathEl.setAttribute("d", d.join(" "));
+      },
+
+      // Robust hit-test: works even with overlay and borders
+      cellAtPoint(clientX, clientY) {
+        const els = document.elementsFromPoint(clientX, clientY);
+        for (const el of els) {
+          const cell = el.closest?.(".zip-cell");
+          if (cell) return { r: Number(cell.dataset.r), c: Number(cell.dataset.c) };
+        }
+        return null;
+      },
+    };
+  }
+
+  global.ZipBoard = { createBoardView };
+})(window);
@@ -0,0 +1,814 @@
+// zip-engine.js
+// The Zip rules and solver, shared by the browser (zip.html), the server and generate.js.
+//
+// Loads as a UMD module:
+//   - Node:    const ZipEngine = require("./zip-engine");
+//   - Browser: <script src="zip-engine.js"></script>  ->  window.ZipEngine
+//
+// Rules:
+// - start at 1
+// - cover every cell exactly once
+// - orthogonal moves only
+// - numbered checkpoints 1..K visited in order
+// - cannot step on a numbered cell unless it is the next required number
+// - end on K
+// - never cross a wall (optional barriers between two adjacent cells)
+//
+// Grids are rows × cols arrays (grid[r][c], 0 for an empty cell); boards don't have to be square.
+// Cells are [r, c] pairs in solver input/output and { r, c } objects in game state
+// (the shape the board renderer uses).
+// Walls are [r1, c1, r2, c2] edges between two orthogonally adjacent cells (puzzles.json "walls").
+// Every rule/solver function takes them as an optional last argument; null means no walls.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.ZipEngine = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // --------------------------
+  // Grid helpers
+  // --------------------------
+  // blocked (optional) is a wallSet(): neighbours behind a wall are left out
+  function neighbors4(rows, cols, r, c, blocked = null) {
+    const out = [];
+    if (r > 0) out.push([r - 1, c]);
+    if (r < rows - 1) out.push([r + 1, c]);
+    if (c > 0) out.push([r, c - 1]);
+    if (c < cols - 1) out.push([r, c + 1]);
+    return blocked ? out.filter(([nr, nc]) => !blocked.has(edgeKey(cols, r, c, nr, nc))) : out;
+  }
+
+  // --------------------------
+  // Walls
+  // --------------------------
+  // One key per edge, whichever way round it is given
+  function edgeKey(cols, r1, c1, r2, c2) {
+    const a = r1 * cols + c1;
+    const b = r2 * cols + c2;
+    return a < b ? `${a}-${b}` : `${b}-${a}`;
+  }
+
+  // Set of blocked edges for fast lookups, or null when there are no walls
+  function wallSet(walls, cols) {
+    if (!Array.isArray(walls) || walls.length === 0) return null;
+    return new Set(walls.map(([r1, c1, r2, c2]) => edgeKey(cols, r1, c1, r2, c2)));
+  }
+
+  // Walls in canonical form (each edge once, top/left cell first, sorted), or null unless every
+  // entry is an edge between two adjacent cells of a rows × cols board
+  function normalizeWalls(walls, rows, cols) {
+    if (walls == null) return [];
+    if (!Array.isArray(walls)) return null;
+    const byKey = new Map();
+    for (const w of walls) {
+      if (!Array.isArray(w) || w.length !== 4 || !w.every(Number.isInteger)) return null;
+      let [r1, c1, r2, c2] = w;
+      if (r1 < 0 || c1 < 0 || r2 < 0 || c2 < 0 || r1 >= rows || r2 >= rows || c1 >= cols || c2 >= cols) return null;
+      if (Math.abs(r1 - r2) + Math.abs(c1 - c2) !== 1) return null;
+      if (r2 < r1 || c2 < c1) [r1, c1, r2, c2] = [r2, c2, r1, c1];
+      byKey.set(edgeKey(cols, r1, c1, r2, c2), [r1, c1, r2, c2]);
+    }
+    return Array.from(byKey.values()).sort((a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2] || a[3] - b[3]);
+  }
+
+  // Returns K when the numbers on the grid are exactly 1..K (no gaps, no repeats), else null
+  function checkpointCount(grid) {
+    const req = [];
+    for (const row of grid) for (const v of row) if (v !== 0) req.push(v);
+    req.sort((a, b) => a - b);
+    if (req.length === 0 || req[0] !== 1) return null;
+    for (let i = 0; i < req.length; i++) if (req[i] !== i + 1) return null;
+    return req.length;
+  }
+
+  // --------------------------
+  // Compact path format "r,c;r,c;..."
+  // --------------------------
+  function solutionPathToString(pathArr) {
+    return pathArr.map(([r, c]) => `${r},${c}`).join(";");
+  }
+
+  function stringToSolutionPath(s) {
+    if (typeof s !== "string" || !s.trim()) return null;
+    const parts = s.split(";");
+    const out = [];
+    for (const p of parts) {
+      const [rs, cs] = p.split(",");
+      const r = Number(rs);
+      const c = Number(cs);
+      if (!Number.isFinite(r) || !Number.isFinite(c)) return null;
+      out.push([r, c]);
+    }
+    return out;
+  }
+
+  // --------------------------
+  // Puzzle codes: a grid as a short URL-safe string, so a puzzle can be shared (/zip?code=...)
+  // without being in the catalogue.
+  // Bytes [1, n, cell of 1, ..., cell of K] for a square grid, [2, rows, cols, cell of 1, ...] for
+  // any other, with cell = r * cols + c, written as unpadded base64url. Sides are at most 16, so
+  // every cell fits in one byte.
+  // --------------------------
+  const CODE_SQUARE = 1;
+  const CODE_RECT = 2;
+  const MAX_CODE_SIZE = 16;
+  const BASE64URL = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+
+  function bytesToBase64Url(bytes) {
+    let out = "";
+    for (let i = 0; i < bytes.length; i += 3) {
+      const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+      const chars = Math.min(4, Math.ceil((bytes.length - i) * 4 / 3));
+      for (let j = 0; j < chars; j++) out += BASE64URL[(chunk >> (18 - 6 * j)) & 63];
+    }
+    return out;
+  }
+
+  function base64UrlToBytes(s) {
+    if (s.length % 4 === 1) return null;
+    const bytes = [];
+    for (let i = 0; i < s.length; i += 4) {
+      const part = s.slice(i, i + 4);
+      let chunk = 0;
+      for (let j = 0; j < 4; j++) {
+        const v = j < part.length ? BASE64URL.indexOf(part[j]) : 0;
+        if (v === -1) return null;
+        chunk |= v << (18 - 6 * j);
+      }
+      for (let j = 0; j < part.length - 1; j++) bytes.push((chunk >> (16 - 8 * j)) & 255);
+    }
+    return bytes;
+  }
+
+  // Code for a grid numbered 1..K, or null if it can't be encoded
+  function encodePuzzleCode(grid) {
+    const rows = grid.length;
+    const cols = rows ? grid[0].length : 0;
+    const K = checkpointCount(grid);
+    if (K === null || rows < 2 || cols < 2 || rows > MAX_CODE_SIZE || cols > MAX_CODE_SIZE) return null;
+
+    const cells = Array(K);
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        if (grid[r][c] !== 0) cells[grid[r][c] - 1] = r * cols + c;
+      }
+    }
+    const header = rows === cols ? [CODE_SQUARE, rows] : [CODE_RECT, rows, cols];
+    return bytesToBase64Url([...header, ...cells]);
+  }
+
+  // Grid for a code, or null if the code is malformed
+  function decodePuzzleCode(code) {
+    const bytes = typeof code === "string" ? base64UrlToBytes(code.trim()) : null;
+    if (!bytes || (bytes[0] !== CODE_SQUARE && bytes[0] !== CODE_RECT)) return null;
+
+    const start = bytes[0] === CODE_SQUARE ? 2 : 3;
+    const rows = bytes[1];
+    const cols = bytes[0] === CODE_SQUARE ? rows : bytes[2];
+    if (bytes.length <= start) return null;
+    if (!(rows >= 2 && cols >= 2 && rows <= MAX_CODE_SIZE && cols <= MAX_CODE_SIZE)) return null;
+
+    const grid = Array.from({ length: rows }, () => Array(cols).fill(0));
+    for (let k = start; k < bytes.length; k++) {
+      const cell = bytes[k];
+      if (cell >= rows * cols) return null;
+      const r = Math.floor(cell / cols);
+      const c = cell % cols;
+      if (grid[r][c] !== 0) return null;
+      grid[r][c] = k - start + 1;
+    }
+    return grid;
+  }
+
+  // --------------------------
+  // Plain-text grids: one row per line, "." for an empty cell and numbers for checkpoints
+  //   1 . . .
+  //   . . 3 .
+  //   . 2 . 4
+  //   . . . .
+  // Blank lines and "#" comment lines are ignored when reading.
+  // --------------------------
+  function gridToAscii(grid) {
+    const width = String(Math.max(1, ...grid.flat())).length;
+    return grid
+      .map((row) => row.map((v) => String(v === 0 ? "." : v).padStart(width)).join(" "))
+      .join("\n");
+  }
+
+  // Grid from text, or null unless it is at least 2×2 with rows of equal length
+  function asciiToGrid(text) {
+    if (typeof text !== "string") return null;
+    const rows = [];
+    for (const line of text.split(/\r?\n/)) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("#")) continue;
+      const row = [];
+      for (const token of trimmed.split(/\s+/)) {
+        if (token === "." || token === "0") row.push(0);
+        else if (/^[1-9]\d*$/.test(token)) row.push(Number(token));
+        else return null;
+      }
+      rows.push(row);
+    }
+    if (rows.length < 2 || rows[0].length < 2 || rows.some((row) => row.length !== rows[0].length)) return null;
+    return rows;
+  }
+
+  // --------------------------
+  // Solution check
+  // Returns null when the path solves the grid, otherwise { code, at } for the first problem.
+  // --------------------------
+  function checkSolutionPath(grid, movePath, walls = null) {
+    const rows = grid.length;
+    const cols = grid[0].length;
+    const N = rows * cols;
+    const blocked = wallSet(walls, cols);
+
+    if (!Array.isArray(movePath)) return { code: "malformed_path", at: null };
+    const cells = [];
+    for (let i = 0; i < movePath.length; i++) {
+      const p = movePath[i];
+      const r = Array.isArray(p) ? p[0] : p && p.r;
+      const c = Array.isArray(p) ? p[1] : p && p.c;
+      if (!Number.isInteger(r) || !Number.isInteger(c) || r < 0 || c < 0 || r >= rows || c >= cols) {
+        return { code: "malformed_path", at: i };
+      }
+      cells.push({ r, c });
+    }
+
+    if (cells.length === 0 || grid[cells[0].r][cells[0].c] !== 1) return { code: "wrong_start", at: 0 };
+
+    let K = 0;
+    for (const row of grid) for (const v of row) if (v > K) K = v;
+
+    const seen = new Set();
+    let nextNum = 1;
+    for (let i = 0; i < cells.length; i++) {
+      const { r, c } = cells[i];
+      const key = r * cols + c;
+      if (seen.has(key)) return { code: "cell_revisited", at: i };
+      seen.add(key);
+
+      if (i > 0) {
+        const prev = cells[i - 1];
+        if (Math.abs(prev.r - r) + Math.abs(prev.c - c) !== 1) return { code: "not_adjacent", at: i };
+        if (blocked && blocked.has(edgeKey(cols, prev.r, prev.c, r, c))) return { code: "wall_crossed", at: i };
+      }
+
+      const v = grid[r][c];
+      if (v !== 0) {
+        if (v !== nextNum) return { code: "checkpoint_out_of_order", at: i };
+        nextNum++;
+      }
+    }
+
+    if (cells.length !== N) return { code: "incomplete", at: cells.length };
+
+    const end = cells[cells.length - 1];
+    if (grid[end.r][end.c] !== K) return { code: "wrong_end", at: cells.length - 1 };
+
+    return null;
+  }
+
+  // --------------------------
+  // DFS solver
+  // Pruning:
+  //   (1) Reachability to the next required number via BFS over *currently-walkable* cells
+  //   (2) Connectivity (no disconnected islands) of unvisited cells
+  //   (3) Dead ends: every unvisited cell except K needs two ways in/out
+  // Walls simply remove edges, so all three work unchanged on the walled neighbourhoods.
+  //
+  // searchZip(grid, maxSolutions, prefix, maxNodes, walls) returns { count, firstPath, secondPath, stats, aborted }:
+  // - count is capped at maxSolutions
+  // - secondPath is the second solution found, if any (shows where an ambiguous puzzle splits)
+  // - prefix (optional) is a legal partial path of [r, c] pairs to continue from
+  // - stats describes the search effort up to the first solution
+  // - maxNodes (optional) caps the whole search; aborted is true when it ran out first,
+  //   in which case count and firstPath only cover what was found so far
+  // --------------------------
+  function searchZip(grid, maxSolutions = 1, prefix = null, maxNodes = Infinity, walls = null) {
+    const none = { count: 0, firstPath: null, secondPath: null, stats: null, aborted: false };
+    const rows = grid.length;
+    const cols = grid[0].length;
+    const N = rows * cols;
+    const blocked = wallSet(walls, cols);
+
+    const K = checkpointCount(grid);
+    if (K === null) return none;
+
+    // Map value -> position for O(1) lookup
+    const posOf = Array(K + 1).fill(null);
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const v = grid[r][c];
+        if (v !== 0) posOf[v] = [r, c];
+      }
+    }
+
+    const start = posOf[1];
+    const visited = Array.from({ length: rows }, () => Array(cols).fill(false));
+    const path = [];
+    let nextReqAtHead = 2;
+
+    if (prefix && prefix.length > 0) {
+      const [sr, sc] = prefix[0];
+      if (sr !== start[0] || sc !== start[1]) return none;
+      for (let i = 0; i < prefix.length; i++) {
+        const [r, c] = prefix[i];
+        if (visited[r][c]) return none;
+        if (i > 0) {
+          const [pr, pc] = prefix[i - 1];
+          if (Math.abs(pr - r) + Math.abs(pc - c) !== 1) return none;
+          if (blocked && blocked.has(edgeKey(cols, pr, pc, r, c))) return none;
+          const v = grid[r][c];
+          if (v !== 0) {
+            if (v !== nextReqAtHead) return none;
+            nextReqAtHead++;
+          }
+        }
+        visited[r][c] = true;
+        path.push([r, c]);
+      }
+    } else {
+      visited[start[0]][start[1]] = true;
+      path.push(start);
+    }
+
+    // ------------ rule helpers ------------
+    function isForbiddenCell(r, c, needed) {
+      const v = grid[r][c];
+      // If it's numbered and not the next required number, it is forbidden *right now*
+      return v !== 0 && needed !== null && v !== needed;
+    }
+
+    function canStandOn(r, c, needed) {
+      if (visited[r][c]) return false;
+      return !isForbiddenCell(r, c, needed);
+    }
+
+    function degreeOfCell(r, c, needed) {
+      let d = 0;
+      for (const [nr, nc] of neighbors4(rows, cols, r, c, blocked)) {
+        if (canStandOn(nr, nc, needed)) d++;
+      }
+      return d;
+    }
+
+    // BFS reachability: can we reach the next required number using only currently-walkable cells?
+    function reachableToNeeded(curR, curC, needed) {
+      if (needed === null) return true;
+
+      const target = posOf[needed];
+      if (!target) return false;
+      const [tr, tc] = target;
+
+      if (visited[tr][tc]) return true;
+      if (isForbiddenCell(tr, tc, needed)) return false; // should never trigger, but safe
+
+      const seen = Array.from({ length: rows }, () => Array(cols).fill(false));
+      const q = new Array(N);
+      let head = 0;
+      let tail = 0;
+
+      q[tail++] = [curR, curC];
+      seen[curR][curC] = true;
+
+      while (head < tail) {
+        const [r, c] = q[head++];
+
+        for (const [nr, nc] of neighbors4(rows, cols, r, c, blocked)) {
+          if (seen[nr][nc]) continue;
+          if (visited[nr][nc]) continue;
+          if (isForbiddenCell(nr, nc, needed)) continue;
+
+          if (nr === tr && nc === tc) return true;
+
+          seen[nr][nc] = true;
+          q[tail++] = [nr, nc];
+        }
+      }
+
+      return false;
+    }
+
+    // Connectivity prune:
+    // Every unvisited cell still has to be covered, so they must form one component.
+    // Future numbers count as walkable here: they block movement *now*, but the path
+    // will pass through them later, so treating them as walls would cut valid solutions.
+    function unvisitedConnected() {
+      let seed = null;
+      let unvisitedCount = 0;
+
+      for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+          if (visited[r][c]) continue;
+          unvisitedCount++;
+          if (!seed) seed = [r, c];
+        }
+      }
+
+      if (unvisitedCount === 0) return true;
+
+      const seen = Array.from({ length: rows }, () => Array(cols).fill(false));
+      const q = new Array(N);
+      let head = 0;
+      let tail = 0;
+
+      q[tail++] = seed;
+      seen[seed[0]][seed[1]] = true;
+
+      let reached = 0;
+
+      while (head < tail) {
+        const [r, c] = q[head++];
+        reached++;
+
+        for (const [nr, nc] of neighbors4(rows, cols, r, c, blocked)) {
+          if (seen[nr][nc]) continue;
+          if (visited[nr][nc]) continue;
+
+          seen[nr][nc] = true;
+          q[tail++] = [nr, nc];
+        }
+      }
+
+      return reached === unvisitedCount;
+    }
+
+    // Dead-end prune:
+    // An unvisited cell other than K's must be entered and left again, so it needs at least
+    // two neighbors that are unvisited or the current head. Only K's cell may have fewer.
+    function hasDeadEnd(curR, curC) {
+      const [kr, kc] = posOf[K];
+      for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+          if (visited[r][c]) continue;
+          if (r === kr && c === kc) continue;
+
+          let d = 0;
+          for (const [nr, nc] of neighbors4(rows, cols, r, c, blocked)) {
+            if (!visited[nr][nc] || (nr === curR && nc === curC)) d++;
+          }
+          if (d < 2) return true;
+        }
+      }
+      return false;
+    }
+
+    let count = 0;
+    let firstPath = null;
+    let secondPath = null;
+    let totalNodes = 0;
+    let aborted = false;
+
+    // Search effort up to the first solution (used for difficulty rating)
+    const stats = { nodes: 0, backtracks: 0, forcedMoves: 0 };
+    // forcedAt[i] = true when the move out of path[i] had exactly one candidate
+    const forcedAt = [];
+
+    // ------------ DFS ------------
+    // Returns true once maxSolutions have been found (stop searching).
+    function dfs(r, c, nextReq) {
+      if (!firstPath) stats.nodes++;
+      if (++totalNodes > maxNodes) {
+        aborted = true;
+        return true;
+      }
+
+      if (path.length === N) {
+        if (nextReq !== K + 1 || grid[r][c] !== K) return false;
+        count++;
+        if (!firstPath) {
+          firstPath = path.slice();
+          for (let i = 0; i < N - 1; i++) if (forcedAt[i]) stats.forcedMoves++;
+        } else if (!secondPath) {
+          secondPath = path.slice();
+        }
+        return count >= maxSolutions;
+      }
+
+      const needed = nextReq <= K ? nextReq : null;
+
+      // Prune 1: next checkpoint must be reachable through currently-walkable cells
+      if (!reachableToNeeded(r, c, needed)) return false;
+
+      // Prune 2: cannot leave disconnected "islands" of unvisited cells
+      if (!unvisitedConnected()) return false;
+
+      // Prune 3: no unvisited cell (except K) may be a dead end
+      if (hasDeadEnd(r, c)) return false;
+
+      const cand = [];
+      for (const [nr, nc] of neighbors4(rows, cols, r, c, blocked)) {
+        if (!canStandOn(nr, nc, needed)) continue;
+        cand.push([nr, nc]);
+      }
+
+      // Fewest onward options first; "degree" respects forbidden cells too
+      cand.sort(
+        (a, b) => degreeOfCell(a[0], a[1], needed) - degreeOfCell(b[0], b[1], needed)
+      );
+
+      forcedAt[path.length - 1] = cand.length === 1;
+
+      for (const [nr, nc] of cand) {
+        const v = grid[nr][nc];
+        const newNextReq =
+          v !== 0 && needed !== null && v === needed ? nextReq + 1 : nextReq;
+
+        visited[nr][nc] = true;
+        path.push([nr, nc]);
+
+        if (dfs(nr, nc, newNextReq)) return true;
+
+        path.pop();
+        visited[nr][nc] = false;
+        if (!firstPath) stats.backtracks++;
+      }
+
+      return false;
+    }
+
+    const [hr, hc] = path[path.length - 1];
+    dfs(hr, hc, nextReqAtHead);
+    return { count, firstPath, secondPath, stats, aborted };
+  }
+
+  // First solution as [r, c] pairs (optionally continuing a partial path), or null
+  function solveZipDFS(grid, prefix = null, walls = null) {
+    return searchZip(grid, 1, prefix, Infinity, walls).firstPath;
+  }
+
+  // Counts solutions, stopping as soon as `limit` have been found.
+  // countZipSolutions(grid) === 1 means the puzzle is unique; 2 means "at least two".
+  function countZipSolutions(grid, limit = 2, walls = null) {
+    return searchZip(grid, limit, null, Infinity, walls).count;
+  }
+
+  // --------------------------
+  // Difficulty rating
+  // Built from the solver's effort on the first solution:
+  // - nodes explored / backtracks (how much guessing the search needed)
+  // - forced moves (steps along the solution with only one legal continuation)
+  // - checkpoint gap (mean number of steps between consecutive numbers on the solution)
+  // --------------------------
+  const DIFFICULTY_TIERS = [
+    { tier: "easy", below: 25 },
+    { tier: "medium", below: 45 },
+    { tier: "hard", below: 65 },
+    { tier: "expert", below: Infinity },
+  ];
+
+  function clamp01(x) {
+    return Math.max(0, Math.min(1, x));
+  }
+
+  function rateDifficulty(grid, solutionPathArr, stats) {
+    const rows = grid.length;
+    const cols = grid[0].length;
+    const N = rows * cols;
+
+    const checkpointSteps = [];
+    solutionPathArr.forEach(([r, c], i) => {
+      if (grid[r][c] !== 0) checkpointSteps.push(i);
+    });
+    let gapSum = 0;
+    for (let i = 1; i < checkpointSteps.length; i++) gapSum += checkpointSteps[i] - checkpointSteps[i - 1];
+    const checkpointGap = checkpointSteps.length > 1 ? gapSum / (checkpointSteps.length - 1) : N - 1;
+
+    const forcedRatio = stats.forcedMoves / Math.max(1, N - 1);
+
+    // Each part is normalized to 0..1 (ranges picked from the existing catalogue)
+    const effort = clamp01(Math.log10(Math.max(1, stats.nodes / N)) / 3);
+    const openness = clamp01((0.65 - forcedRatio) / 0.35);
+    const spread = clamp01((checkpointGap - 2) / 8);
+
+    const score = Math.round(100 * (0.5 * effort + 0.25 * openness + 0.25 * spread));
+    const tier = DIFFICULTY_TIERS.find((t) => score < t.below).tier;
+
+    return {
+      score,
+      tier,
+      nodes: stats.nodes,
+      backtracks: stats.backtracks,
+      forcedMoves: stats.forcedMoves,
+      checkpointGap: Math.round(checkpointGap * 100) / 100,
+    };
+  }
+
+  // Everything the editor (and the server, on submit) wants to know about a grid:
+  // { solvable, unique, solutionPath, difficulty, aborted }. Numbers that aren't exactly 1..K
+  // count as unsolvable. With maxNodes, aborted means the search gave up before it could tell:
+  // solvable/unique are then null unless already settled (a first solution may have been found).
+  function analyzePuzzle(grid, maxNodes = Infinity, walls = null) {
+    const { count, firstPath, stats, aborted } = searchZip(grid, 2, null, maxNodes, walls);
+    if (!firstPath) {
+      return { solvable: aborted ? null : false, unique: aborted ? null : false, solutionPath: null, difficulty: null, aborted };
+    }
+    return {
+      solvable: true,
+      unique: count > 1 ? false : (aborted ? null : true),
+      solutionPath: firstPath,
+      difficulty: rateDifficulty(grid, firstPath, stats),
+      aborted,
+    };
+  }
+
+  // --------------------------
+  // Headless game state
+  // Mirrors what a player can do on the board. tryAdd() returns { ok, reason, ... } so the
+  // caller decides how to show a rejected move.
+  // --------------------------
+  function createGame(grid, walls = null) {
+    const rows = grid.length;
+    const cols = grid[0].length;
+    const N = rows * cols;
+    const blocked = wallSet(walls, cols);
+
+    // Map number -> location
+    const positions = new Map();
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const v = grid[r][c];
+        if (v !== 0) positions.set(v, { r, c });
+      }
+    }
+    const requiredNums = Array.from(positions.keys()).sort((a, b) => a - b);
+    const lastRequired = requiredNums[requiredNums.length - 1];
+
+    const game = {
+      grid,
+      walls,
+      rows,
+      cols,
+      N,
+      positions,
+      requiredNums,
+      lastRequired,
+      path: [],
+      locked: false, // once true (solved/revealed), the path can no longer change
+
+      indexOf(rc) {
+        return game.path.findIndex((p) => p.r === rc.r && p.c === rc.c);
+      },
+
+      head() {
+        return game.path.length ? game.path[game.path.length - 1] : null;
+      },
+
+      nextRequired() {
+        for (const k of requiredNums) {
+          const pos = positions.get(k);
+          if (game.indexOf(pos) === -1) return k;
+        }
+        return null;
+      },
+
+      isSolved() {
+        return checkSolutionPath(grid, game.path, walls) === null;
+      },
+
+      // allowRewind: stepping on a cell already in the path cuts the path back to it
+      tryAdd(rc, allowRewind = false) {
+        if (game.locked) return { ok: false, reason: "locked" };
+        if (rc.r < 0 || rc.c < 0 || rc.r >= rows || rc.c >= cols) return { ok: false, reason: "off_board" };
+
+        if (game.path.length === 0) {
+          if (grid[rc.r][rc.c] !== 1) return { ok: false, reason: "start_on_one" };
+          game.path.push({ r: rc.r, c: rc.c });
+          return { ok: true };
+        }
+
+        const hitIndex = game.indexOf(rc);
+        if (hitIndex !== -1) {
+          if (!allowRewind) return { ok: false, reason: "crossing" };
+          game.path = game.path.slice(0, hitIndex + 1);
+          return { ok: true, rewound: true };
+        }
+
+        const head = game.head();
+        if (Math.abs(head.r - rc.r) + Math.abs(head.c - rc.c) !== 1) return { ok: false, reason: "not_adjacent" };
+        if (blocked && blocked.has(edgeKey(cols, head.r, head.c, rc.r, rc.c))) return { ok: false, reason: "wall" };
+
+        const cellVal = grid[rc.r][rc.c];
+        const needed = game.nextRequired();
+        if (cellVal !== 0) {
+          // last number can ONLY be selected as the final move
+          if (cellVal === lastRequired && game.path.length !== N - 1) {
+            return { ok: false, reason: "last_too_early", lastRequired };
+          }
+          // must hit required numbers in order
+          if (needed !== null && cellVal !== needed) {
+            return { ok: false, reason: "wrong_number", needed };
+          }
+        }
+
+        game.path.push({ r: rc.r, c: rc.c });
+
+        if (game.path.length === N) {
+          const solved = game.isSolved();
+          if (solved) game.locked = true;
+          return { ok: true, full: true, solved };
+        }
+        return { ok: true };
+      },
+
+      undo() {
+        if (game.locked || game.path.length === 0) return false;
+        game.path.pop();
+        return true;
+      },
+
+      reset() {
+        if (game.locked) return false;
+        game.path = [];
+        return true;
+      },
+
+      // Replace the path wholesale (reveal / restoring a saved path)
+      setPath(cells) {
+        game.path = cells.map((p) => (Array.isArray(p) ? { r: p[0], c: p[1] } : { r: p.r, c: p.c }));
+      },
+
+      // Full solution continuing the current path (or from scratch), as { r, c } cells
+      solve() {
+        const prefix = game.path.length ? game.path.map((p) => [p.r, p.c]) : null;
+        const sol = solveZipDFS(grid, prefix, walls);
+        return sol ? sol.map(([r, c]) => ({ r, c })) : null;
+      },
+    };
+
+    return game;
+  }
+
+  // ----------------------------
+  // Move logs (recorded solves, for replays)
+  // ----------------------------
+  // Each entry is { t, op, r, c }: t is ms on the solve clock, op is one of MOVE_OPS,
+  // r/c only for "add" and "rewind".
+  const MOVE_OPS = ["add", "rewind", "undo", "reset"];
+  const MAX_MOVE_LOG = 20000;
+
+  // Cleaned copy of an untrusted log, or null if it is malformed
+  function cleanMoveLog(log) {
+    if (!Array.isArray(log) || log.length === 0 || log.length > MAX_MOVE_LOG) return null;
+    const out = [];
+    let lastT = 0;
+    for (const m of log) {
+      if (!m || !MOVE_OPS.includes(m.op)) return null;
+      const t = Number(m.t);
+      if (!Number.isFinite(t) || t < lastT) return null;
+      lastT = t;
+      if (m.op === "add" || m.op === "rewind") {
+        if (!Number.isInteger(m.r) || !Number.isInteger(m.c)) return null;
+        out.push({ t: Math.round(t), op: m.op, r: m.r, c: m.c });
+      } else {
+        out.push({ t: Math.round(t), op: m.op });
+      }
+    }
+    return out;
+  }
+
+  // Apply one logged move; false if the game rejected it
+  function applyMove(game, move) {
+    if (move.op === "add") return game.tryAdd(move, false).ok;
+    if (move.op === "rewind") return game.tryAdd(move, true).ok;
+    if (move.op === "undo") return game.undo();
+    if (move.op === "reset") return game.reset();
+    return false;
+  }
+
+  // Fresh game with the first `count` moves applied, or null if one of them doesn't apply
+  function replayMoveLog(grid, log, count = log.length, walls = null) {
+    const game = createGame(grid, walls);
+    for (let i = 0; i < count; i++) {
+      if (!applyMove(game, log[i])) return null;
+    }
+    return game;
+  }
+
+  return {
+    neighbors4,
+    wallSet,
+    normalizeWalls,
+    checkpointCount,
+    solutionPathToString,
+    stringToSolutionPath,
+    encodePuzzleCode,
+    decodePuzzleCode,
+    gridToAscii,
+    asciiToGrid,
+    checkSolutionPath,
+    searchZip,
+    solveZipDFS,
+    countZipSolutions,
+    DIFFICULTY_TIERS,
+    rateDifficulty,
+    analyzePuzzle,
+    createGame,
+    cleanMoveLog,
+    applyMove,
+    replayMoveLog,
+  };
+});
@@ -0,0 +1,127 @@
+// zip-engine.test.js
+// Checks for the shared engine (zip-engine.js) on a few catalogue puzzles: the solution check the
+// server trusts, the solver, the game's move rules and share codes. Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ZipEngine = require('./zip-engine');
+const { zips } = require('./puzzles.json');
+
+// One of each size, smallest first (the solver runs on all of them)
+const SAMPLES = [];
+for (const zip of zips) {
+  if (!SAMPLES.some(p => p.grid.length === zip.grid.length)) SAMPLES.push(zip);
+}
+SAMPLES.sort((a, b) => a.grid.length - b.grid.length);
+
+function solutionOf(zip) {
+  return ZipEngine.stringToSolutionPath(zip.solutionPath);
+}
+
+test('catalogue solutions pass the solution check', () => {
+  for (const zip of SAMPLES) {
+    assert.equal(ZipEngine.checkSolutionPath(zip.grid, solutionOf(zip)), null, `Zip #${zip.id}`);
+  }
+});
+
+// Older catalogue puzzles aren't all unique, so only the paths found are checked
+test('the solver finds valid solutions for catalogue puzzles', () => {
+  for (const zip of SAMPLES) {
+    const result = ZipEngine.searchZip(zip.grid, 2);
+    assert.ok(result.count >= 1, `Zip #${zip.id}`);
+    assert.equal(result.aborted, false);
+    assert.equal(ZipEngine.checkSolutionPath(zip.grid, result.firstPath), null, `Zip #${zip.id}`);
+    if (result.secondPath) {
+      assert.equal(ZipEngine.checkSolutionPath(zip.grid, result.secondPath), null, `Zip #${zip.id}`);
+      assert.notDeepEqual(result.secondPath, result.firstPath);
+    }
+  }
+});
+
+test('the solver counts both ways through an ambiguous grid', () => {
+  // 1 . .
+  // . . .     snaked by rows or by columns
+  // . . 2
+  const grid = [[1, 0, 0], [0, 0, 0], [0, 0, 2]];
+  const result = ZipEngine.searchZip(grid, 5);
+  assert.equal(result.count, 2);
+  assert.equal(ZipEngine.checkSolutionPath(grid, result.secondPath), null);
+  assert.equal(ZipEngine.countZipSolutions(grid, 1), 1); // stops at the limit
+});
+
+test('a path that does not start on 1 is rejected', () => {
+  const zip = SAMPLES[0];
+  const reversed = solutionOf(zip).reverse();
+  assert.deepEqual(ZipEngine.checkSolutionPath(zip.grid, reversed), { code: 'wrong_start', at: 0 });
+  assert.deepEqual(ZipEngine.checkSolutionPath(zip.grid, []), { code: 'wrong_start', at: 0 });
+});
+
+test('a path that skips a number is rejected', () => {
+  // 1 . .
+  // 2 3 4     1 -> (0,1) -> 3 reaches 3 before 2
+  const grid = [[1, 0, 0], [2, 3, 4]];
+  assert.equal(ZipEngine.checkSolutionPath(grid, [[0, 0], [1, 0], [1, 1], [0, 1], [0, 2], [1, 2]]), null);
+  assert.deepEqual(
+    ZipEngine.checkSolutionPath(grid, [[0, 0], [0, 1], [1, 1], [1, 0]]),
+    { code: 'checkpoint_out_of_order', at: 2 }
+  );
+});
+
+test('a path that crosses a wall is rejected', () => {
+  const zip = SAMPLES[0];
+  const path = solutionOf(zip);
+  const walls = [[...path[2], ...path[3]]];
+  assert.deepEqual(ZipEngine.checkSolutionPath(zip.grid, path, walls), { code: 'wall_crossed', at: 3 });
+});
+
+test('broken and unfinished paths are rejected', () => {
+  const zip = SAMPLES[0];
+  const path = solutionOf(zip);
+  assert.deepEqual(ZipEngine.checkSolutionPath(zip.grid, path.slice(0, -1)), { code: 'incomplete', at: path.length - 1 });
+  assert.deepEqual(ZipEngine.checkSolutionPath(zip.grid, [path[0], path[2]]), { code: 'not_adjacent', at: 1 });
+  assert.deepEqual(ZipEngine.checkSolutionPath(zip.grid, [path[0], path[1], path[0]]), { code: 'cell_revisited', at: 2 });
+  assert.deepEqual(ZipEngine.checkSolutionPath(zip.grid, [path[0], [-1, 0]]), { code: 'malformed_path', at: 1 });
+  assert.deepEqual(ZipEngine.checkSolutionPath(zip.grid, 'nope'), { code: 'malformed_path', at: null });
+});
+
+test('tryAdd follows the move rules and rewinds on request', () => {
+  const zip = SAMPLES[0];
+  const path = solutionOf(zip).map(([r, c]) => ({ r, c }));
+  const game = ZipEngine.createGame(zip.grid);
+
+  assert.equal(game.tryAdd(path[1]).reason, 'start_on_one');
+  for (const cell of path.slice(0, 4)) assert.equal(game.tryAdd(cell).ok, true);
+  assert.equal(game.tryAdd(path[1]).reason, 'crossing');
+  assert.equal(game.tryAdd(path[6]).reason, 'not_adjacent');
+
+  const rewound = game.tryAdd(path[1], true);
+  assert.equal(rewound.rewound, true);
+  assert.equal(game.path.length, 2);
+
+  const walled = ZipEngine.createGame(zip.grid, [[path[0].r, path[0].c, path[1].r, path[1].c]]);
+  walled.tryAdd(path[0]);
+  assert.equal(walled.tryAdd(path[1]).reason, 'wall');
+});
+
+test('playing the solution solves and locks the game', () => {
+  const zip = SAMPLES[0];
+  const game = ZipEngine.createGame(zip.grid);
+  let last = null;
+  for (const [r, c] of solutionOf(zip)) last = game.tryAdd({ r, c });
+  assert.deepEqual(last, { ok: true, full: true, solved: true });
+  assert.equal(game.locked, true);
+  assert.equal(game.undo(), false);
+});
+
+test('share codes round-trip', () => {
+  for (const zip of SAMPLES) {
+    const code = ZipEngine.encodePuzzleCode(zip.grid);
+    assert.deepEqual(ZipEngine.decodePuzzleCode(code), zip.grid, `Zip #${zip.id}`);
+  }
+  const rect = [[1, 0, 0], [2, 3, 4]];
+  assert.deepEqual(ZipEngine.decodePuzzleCode(ZipEngine.encodePuzzleCode(rect)), rect);
+
+  assert.equal(ZipEngine.decodePuzzleCode('!!'), null);
+  assert.equal(ZipEngine.encodePuzzleCode([[1, 0], [3, 0]]), null); // numbers must be 1..K
+});
@@ -0,0 +1,217 @@
+// zip-sync.js
+// Gets solves to the server even when it is briefly unreachable, and keeps local and server
+// progress in step. Used by zip.html (submitting solves) and index.html (reconciling).
+//
+// - Outbox: every submission is stored in localStorage (zip_outbox_<user>) before it is sent and
+//   only removed once the server has answered. Failures retry with exponential backoff. Each item
+//   carries its id (clientId), so a solve sent twice (two tabs, a lost response) is only kept once.
+// - Reconcile: pulls the server's times/completed maps into local data (keeping the best time) and
+//   queues local solves the server doesn't have yet (or has a slower time for).
+// - Indicator: any element passed to mountIndicator() shows synced / pending / offline, and how many
+//   queued solves the server refused this session.
+
+(function (global) {
+  "use strict";
+
+  const BACKOFF_BASE_MS = 2000;
+  const BACKOFF_MAX_MS = 5 * 60 * 1000;
+
+  const indicators = [];
+  let flushTimer = null;
+  let flushing = null;
+  let lastError = false;
+  let rejected = 0; // submissions the server turned down for good since the page loaded
+
+  function outboxKey(user) {
+    return `zip_outbox_${user}`;
+  }
+
+  function loadOutbox(user) {
+    try {
+      const raw = localStorage.getItem(outboxKey(user));
+      return raw ? JSON.parse(raw) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function saveOutbox(user, items) {
+    if (items.length) localStorage.setItem(outboxKey(user), JSON.stringify(items));
+    else localStorage.removeItem(outboxKey(user));
+    updateIndicators(user);
+  }
+
+  function backoffMs(attempts) {
+    return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, attempts));
+  }
+
+  // Queue a POST. `key` (e.g. "progress:12") lets reconcile() see what is already on its way.
+  function enqueue(user, url, body, key = null) {
+    if (!user) return;
+    const items = loadOutbox(user);
+    items.push({
+      uid: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      key,
+      url,
+      body,
+      attempts: 0,
+      nextTryAt: 0
+    });
+    saveOutbox(user, items);
+  }
+
+  // Queue and send straight away. Resolves after the first try (whatever its outcome).
+  function submit(user, url, body, key = null) {
+    enqueue(user, url, body, key);
+    return flush(user);
+  }
+
+  async function sendOne(item) {
+    try {
+      const res = await fetch(item.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        // The item id goes along so the server can tell a resend from a new solve
+        body: JSON.stringify({ ...item.body, clientId: item.uid })
+      });
+      // Retry server trouble, rate limits and expired sessions (they come back after signing in);
+      // any other 4xx is a permanent rejection (e.g. invalid solution) and is dropped.
+      if (res.ok) return "done";
+      if (res.status >= 500 || res.status === 401 || res.status === 408 || res.status === 429) return "retry";
+      return "drop";
+    } catch {
+      return "retry";
+    }
+  }
+
+  // Send everything that is due. Only one flush runs at a time.
+  function flush(user) {
+    if (!user) return Promise.resolve();
+    if (flushing) return flushing;
+
+    flushing = (async () => {
+      const now = Date.now();
+      let failed = false;
+
+      for (const item of loadOutbox(user)) {
+        if (item.nextTryAt > now) continue;
+        const outcome = await sendOne(item);
+
+        // Re-read: other tabs may have changed the outbox meanwhile
+        const items = loadOutbox(user);
+        const i = items.findIndex(x => x.uid === item.uid);
+        if (i === -1) continue;
+        if (outcome === "retry") {
+          failed = true;
+          items[i].attempts += 1;
+          items[i].nextTryAt = Date.now() + backoffMs(items[i].attempts);
+        } else {
+          if (outcome === "drop") rejected++;
+          items.splice(i, 1);
+        }
+        saveOutbox(user, items);
+      }
+
+      lastError = failed;
+      updateIndicators(user);
+      schedule(user);
+    })().finally(() => { flushing = null; });
+
+    return flushing;
+  }
+
+  // Wake up when the earliest pending item is due
+  function schedule(user) {
+    if (flushTimer) clearTimeout(flushTimer);
+    flushTimer = null;
+    const items = loadOutbox(user);
+    if (!items.length) return;
+    const next = Math.min(...items.map(x => x.nextTryAt));
+    flushTimer = setTimeout(() => flush(user), Math.max(1000, next - Date.now()));
+  }
+
+  // Two-way merge with the server. localData is the zip_user_<name> object; returns the merged one.
+  // Local solves the server lacks (or has slower) are queued, as long as their path and hint count
+  // were kept (a solve whose assists are unknown is never re-sent, so it can't pass as a clean one).
+  async function reconcile(user, localData) {
+    const res = await fetch(`/api/progress/${encodeURIComponent(user)}`, { cache: "no-store" });
+    if (!res.ok) throw new Error(`Failed to load progress (${res.status})`);
+    const server = await res.json();
+
+    const merged = {
+      ...localData,
+      opened: { ...localData.opened, ...server.opened },
+      completed: { ...localData.completed, ...server.completed },
+      revealed: { ...localData.revealed, ...server.revealed },
+      times: { ...localData.times }
+    };
+
+    // Down: keep the best of the two times
+    for (const [id, ms] of Object.entries(server.times || {})) {
+      const local = merged.times[id];
+      merged.times[id] = typeof local === "number" ? Math.min(local, ms) : ms;
+    }
+
+    // Up: numbered puzzles only (daily results live on the daily leaderboard)
+    const queued = new Set(loadOutbox(user).map(x => x.key));
+    const paths = localData.solvedPaths || {};
+    const hints = localData.solvedHints || {};
+    for (const [id, ms] of Object.entries(localData.times || {})) {
+      if (!/^\d+$/.test(id) || !paths[id] || typeof hints[id] !== "number" || queued.has(`progress:${id}`)) continue;
+      if (merged.revealed[id]) continue;
+      const serverMs = server.times ? server.times[id] : undefined;
+      if (typeof serverMs === "number" && serverMs <= ms) continue;
+      enqueue(user, "/api/progress", { id: Number(id), elapsed: ms, path: paths[id], hintsUsed: hints[id], revealed: false }, `progress:${id}`);
+    }
+
+    flush(user);
+    return merged;
+  }
+
+  function pendingCount(user) {
+    return user ? loadOutbox(user).length : 0;
+  }
+
+  function updateIndicators(user) {
+    const pending = pendingCount(user);
+    for (const el of indicators) {
+      el.classList.toggle("sync-ok", pending === 0);
+      el.classList.toggle("sync-pending", pending > 0 && !lastError);
+      el.classList.toggle("sync-offline", pending > 0 && lastError);
+      if (pending === 0) {
+        el.textContent = rejected ? `✓ Synced · ${rejected} not accepted` : "✓ Synced";
+        el.title = rejected
+          ? `The server didn't accept ${rejected} of your solves (e.g. the puzzle was removed), so they were dropped`
+          : "All your solves are saved on the server";
+      } else {
+        el.textContent = lastError ? `⚠ Offline · ${pending} unsent` : `⟳ Syncing ${pending}`;
+        el.title = lastError
+          ? "The server can't be reached right now. Your solves are kept and will be sent automatically."
+          : "Sending your solves to the server";
+      }
+    }
+  }
+
+  function mountIndicator(el, user) {
+    if (!el) return;
+    el.classList.add("sync-status");
+    indicators.push(el);
+    updateIndicators(user);
+  }
+
+  // Start (or resume) sending a user's outbox: now, when the browser comes back online,
+  // and whenever another tab queues something
+  function start(user) {
+    if (!user) return;
+    window.addEventListener("online", () => flush(user));
+    window.addEventListener("storage", (e) => {
+      if (e.key === outboxKey(user)) {
+        updateIndicators(user);
+        schedule(user);
+      }
+    });
+    flush(user);
+  }
+
+  global.ZipSync = { enqueue, submit, flush, reconcile, pendingCount, mountIndicator, start };
+})(window);
@@ -5,13 +5,28 @@ function getZipIdFromURL() {
   return Number.isFinite(id) ? id : null;
 }
 
+// /zip?code=<share code> plays a puzzle straight from its code (ZipEngine.encodePuzzleCode),
+// so it doesn't need to be in the catalogue
+function getPuzzleCodeFromURL() {
+  return new URLSearchParams(window.location.search).get("code");
+}
+
+// /zip?daily=1 plays today's shared puzzle (see /api/daily)
+function isDailyMode() {
+  return new URLSearchParams(window.location.search).has("daily");
+}
+
+async function loadDailyOrThrow() {
+  const res = await fetch("/api/daily", { cache: "no-store" });
+  if (!res.ok) throw new Error(`Failed to load today's puzzle (${res.status})`);
+  return res.json();
+}
+
 async function loadPuzzleOrThrow(id) {
-  const res = await fetch("puzzles.json", { cache: "no-store" });
-  if (!res.ok) throw new Error(`Failed to load puzzles.json (${res.status})`);
-  const data = await res.json();
-  const zips = Array.isArray(data.zips) ? data.zips : [];
-  const puzzle = zips.find(z => Number(z.id) === id);
-  if (!puzzle) throw new Error(`Puzzle id=${id} not found`);
+  const res = await fetch(`/api/puzzles/${encodeURIComponent(id)}`, { cache: "no-store" });
+  if (res.status === 404) throw new Error(`Puzzle id=${id} not found`);
+  if (!res.ok) throw new Error(`Failed to load puzzle (${res.status})`);
+  const puzzle = await res.json();
 
   // Expect puzzle.grid to already be a 2D array of numbers (NOT a string)
   if (!Array.isArray(puzzle.grid) || puzzle.grid.length === 0 || !Array.isArray(puzzle.grid[0])) {
@@ -20,26 +35,15 @@ async function loadPuzzleOrThrow(id) {
   return puzzle;
 }
 
-async function getAllPuzzleIds() {
-  const res = await fetch("puzzles.json", { cache: "no-store" });
-  if (!res.ok) return [];
-  const data = await res.json();
-  const zips = Array.isArray(data.zips) ? data.zips : [];
-  return zips.map(z => Number(z.id)).filter(id => Number.isFinite(id)).sort((a, b) => a - b);
-}
-
-function setupNavigation(currentId, allIds) {
+// prevId/nextId come from /api/puzzles/:id (null at either end of the catalogue)
+function setupNavigation(prevId, nextId) {
   const nextBtn = document.getElementById("nextBtn");
   const prevBtn = document.getElementById("prevBtn");
   
-  if (!allIds || allIds.length === 0) return;
-  
-  const currentIndex = allIds.indexOf(currentId);
-  
   // Setup Next button
   if (nextBtn) {
     // Disable next button if at last puzzle
-    if (currentIndex < 0 || currentIndex >= allIds.length - 1) {
+    if (nextId == null) {
       nextBtn.disabled = true;
       nextBtn.style.opacity = "0.4";
       nextBtn.style.cursor = "not-allowed";
@@ -48,7 +52,6 @@ function setupNavigation(currentId, allIds) {
       nextBtn.style.opacity = "1";
       nextBtn.style.cursor = "pointer";
       nextBtn.addEventListener("click", () => {
-        const nextId = allIds[currentIndex + 1];
         window.location.href = `/zip?id=${nextId}`;
       });
     }
@@ -57,7 +60,7 @@ function setupNavigation(currentId, allIds) {
   // Setup Prev button
   if (prevBtn) {
     // Disable prev button if at first puzzle
-    if (currentIndex <= 0) {
+    if (prevId == null) {
       prevBtn.disabled = true;
       prevBtn.style.opacity = "0.4";
       prevBtn.style.cursor = "not-allowed";
@@ -66,7 +69,6 @@ function setupNavigation(currentId, allIds) {
       prevBtn.style.opacity = "1";
       prevBtn.style.cursor = "pointer";
       prevBtn.addEventListener("click", () => {
-        const prevId = allIds[currentIndex - 1];
         window.location.href = `/zip?id=${prevId}`;
       });
     }
@@ -88,6 +90,9 @@ function setupNavigation(currentId, allIds) {
 }
 
 (async function main() {
+  // Wait for the server session check in zip.html (it redirects to /login if there is none)
+  if (window.zipSessionReady && !(await window.zipSessionReady)) return;
+
   // --- per-user helpers (localStorage-backed, lightweight) ---
   function getCurrentUser() {
     return localStorage.getItem("zip_currentUser");
@@ -120,6 +125,8 @@ function setupNavigation(currentId, allIds) {
     saveUserData(user, d);
   }
 
+  const daily = isDailyMode();
+  const code = daily ? null : getPuzzleCodeFromURL();
   const id = getZipIdFromURL();
   const titleEl = document.getElementById("zipTitle");
   const msgEl = document.getElementById("msg");
@@ -130,26 +137,72 @@ function setupNavigation(currentId, allIds) {
     msgEl.classList.toggle("bad", ok === false);
   }
 
-  if (id === null) {
+  if (id === null && !daily && !code) {
     document.title = "Zip";
     titleEl.textContent = "Zip";
     setMsg("Missing ?id= in the URL.", false);
     return;
   }
 
-  let ZIP_NUMBER, ZIP_GRID;
+  let ZIP_NUMBER, ZIP_GRID, ZIP_DIFFICULTY;
+  let ZIP_WALLS = null; // [r1, c1, r2, c2] edges the path can't cross (share codes have none)
+  let DAILY_DATE = null;
+  let SHARED_CODE = null; // shared puzzles are played locally only: no server progress or leaderboard
+  // Key into the local opened/completed/times maps: the puzzle id, "daily-YYYY-MM-DD"
+  // (a daily run is tracked separately from a regular solve of the same puzzle) or "code-<code>"
+  let PROGRESS_KEY;
   try {
-    const puzzle = await loadPuzzleOrThrow(id);
-    ZIP_NUMBER = puzzle.id;
-    ZIP_GRID = puzzle.grid;
-    
-    // Setup navigation buttons
-    const allIds = await getAllPuzzleIds();
-    setupNavigation(ZIP_NUMBER, allIds);
+    if (daily) {
+      const info = await loadDailyOrThrow();
+      ZIP_NUMBER = info.puzzle.id;
+      ZIP_GRID = info.puzzle.grid;
+      ZIP_WALLS = info.puzzle.walls || null;
+      ZIP_DIFFICULTY = info.puzzle.difficulty || null;
+      DAILY_DATE = info.date;
+      PROGRESS_KEY = `daily-${info.date}`;
+
+      // Already solved today (maybe on another device): lock like any completed puzzle
+      const user = getCurrentUser();
+      if (info.result && user) {
+        const d = getUserData(user);
+        if (info.result.revealed) {
+          d.revealed = d.revealed || {};
+          d.revealed[PROGRESS_KEY] = true;
+        } else {
+          d.completed = d.completed || {};
+          d.times = d.times || {};
+          d.completed[PROGRESS_KEY] = true;
+          d.times[PROGRESS_KEY] = info.result.timeMs;
+        }
+        saveUserData(user, d);
+      }
+
+      // No prev/next for the daily puzzle
+      setupNavigation(null, null);
+    } else if (code) {
+      ZIP_GRID = ZipEngine.decodePuzzleCode(code);
+      if (!ZIP_GRID) throw new Error("This puzzle code isn't valid.");
+      ZIP_NUMBER = null;
+      ZIP_DIFFICULTY = null;
+      SHARED_CODE = code;
+      PROGRESS_KEY = `code-${code}`;
+      setupNavigation(null, null);
+    } else {
+      const puzzle = await loadPuzzleOrThrow(id);
+      ZIP_NUMBER = puzzle.id;
+      ZIP_GRID = puzzle.grid;
+      ZIP_WALLS = puzzle.walls || null;
+      ZIP_DIFFICULTY = puzzle.difficulty || null;
+      PROGRESS_KEY = ZIP_NUMBER;
+
+      // Setup navigation buttons
+      setupNavigation(puzzle.prevId, puzzle.nextId);
+    }
   } catch (err) {
     console.error(err);
-    document.title = `Zip #${id}`;
-    titleEl.textContent = `Zip #${id}`;
+    const label = daily ? "Daily Zip" : code ? "Shared Zip" : `Zip #${id}`;
+    document.title = label;
+    titleEl.textContent = label;
     setMsg(String(err.message || err), false);
     return;
   }
@@ -171,12 +224,16 @@ function setupNavigation(currentId, allIds) {
     return `${s}s`;
   }
 
-  function updateTimerNow() {
+  function currentElapsedMs() {
     let total = _elapsedMs;
     if (_visibleStartMs != null) {
       total += Date.now() - _visibleStartMs;
     }
-    timerEl.textContent = fmtMs(total);
+    return total;
+  }
+
+  function updateTimerNow() {
+    timerEl.textContent = fmtMs(currentElapsedMs());
     _timerRaf = requestAnimationFrame(updateTimerNow);
   }
 
@@ -204,25 +261,45 @@ function setupNavigation(currentId, allIds) {
     if (!user) return;
     const d = getUserData(user);
     d.startTimes = d.startTimes || {};
-    d.startTimes[ZIP_NUMBER] = _elapsedMs;
+    d.startTimes[PROGRESS_KEY] = _elapsedMs;
     saveUserData(user, d);
   }
 
+  // Wall-clock start of the current attempt (kept across reloads until it is solved)
+  let attemptStartedAt = Date.now();
+  // Assists on this puzzle, kept across reloads (zip_user_<name>.hints) and sent with the solve
+  let hintsUsed = 0;
+  let isRevealed = false; // solution was shown: the puzzle can no longer be solved for the record
+
+  // Unsent solves from earlier visits go out now; the indicator shows what is still pending
+  ZipSync.mountIndicator(document.getElementById('syncStatus'), getCurrentUser());
+  ZipSync.start(getCurrentUser());
+
   try {
     const user = getCurrentUser();
-    if (user) markOpenedForUser(user, ZIP_NUMBER);
+    if (user) markOpenedForUser(user, PROGRESS_KEY);
+
+    const a = getUserData(user);
+    a.attemptStarts = a.attemptStarts || {};
+    if (a.attemptStarts[PROGRESS_KEY]) attemptStartedAt = a.attemptStarts[PROGRESS_KEY];
+    else if (user) {
+      a.attemptStarts[PROGRESS_KEY] = attemptStartedAt;
+      saveUserData(user, a);
+    }
+    hintsUsed = (a.hints && a.hints[PROGRESS_KEY]) || 0;
+    isRevealed = !!(a.revealed && a.revealed[PROGRESS_KEY]);
 
     // load any previous elapsed time for this puzzle
     const d = getUserData(user);
-    const entry = d.startTimes && d.startTimes[ZIP_NUMBER];
+    const entry = d.startTimes && d.startTimes[PROGRESS_KEY];
     if (entry != null) {
       if (typeof entry === 'number') _elapsedMs = entry;
       else if (entry.start) _elapsedMs = entry.paused || 0;
     }
 
     // If completed already, show time and lock
-    if (d.completed && d.completed[ZIP_NUMBER]) {
-      const ms = d.times && d.times[ZIP_NUMBER];
+    if (d.completed && d.completed[PROGRESS_KEY]) {
+      const ms = d.times && d.times[PROGRESS_KEY];
       setMsg(`Previously completed — time: ${fmtMs(ms)}`, true);
       timerEl.textContent = fmtMs(ms);
       finishedLock = true;
@@ -232,6 +309,16 @@ function setupNavigation(currentId, allIds) {
       document.getElementById('resetBtn').disabled = true;
       document.getElementById('hintBtn').disabled = true;
       document.getElementById('revealBtn').disabled = true;
+    } else if (isRevealed) {
+      // Revealed earlier (maybe on another device): show the solution, no clean solve after that
+      setMsg("Solution was revealed — this one no longer counts.", false);
+      finishedLock = true;
+      isPreviouslyCompleted = true;
+      document.getElementById('board').style.pointerEvents = 'none';
+      document.getElementById('undoBtn').disabled = true;
+      document.getElementById('resetBtn').disabled = true;
+      document.getElementById('hintBtn').disabled = true;
+      document.getElementById('revealBtn').disabled = true;
     } else {
       // Start timer only if page is visible now
       startTimerIfVisible();
@@ -258,11 +345,22 @@ function setupNavigation(currentId, allIds) {
   });
 
   const grid = ZIP_GRID;
-  const n = grid.length;
-  const N = n * n;
+  const walls = ZIP_WALLS;
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const N = rows * cols;
+
+  const zipLabel = DAILY_DATE ? `Daily Zip · ${DAILY_DATE}` : SHARED_CODE ? `Shared Zip (${rows}×${cols})` : `Zip #${ZIP_NUMBER}`;
+  document.getElementById("zipTitle").textContent = zipLabel;
+  document.title = zipLabel;
 
-  document.getElementById("zipTitle").textContent = `Zip #${ZIP_NUMBER}`;
-  document.title = `Zip #${ZIP_NUMBER}`;
+  if (ZIP_DIFFICULTY && ZIP_DIFFICULTY.tier) {
+    const tierEl = document.createElement("span");
+    tierEl.className = `tier-badge tier-${ZIP_DIFFICULTY.tier}`;
+    tierEl.textContent = ZIP_DIFFICULTY.tier;
+    tierEl.title = `Difficulty ${ZIP_DIFFICULTY.score}/100`;
+    document.getElementById("zipTitle").appendChild(tierEl);
+  }
 
   const boardEl = document.getElementById("board");
   const pathEl = document.getElementById("path");
@@ -272,104 +370,149 @@ function setupNavigation(currentId, allIds) {
   const hintBtn = document.getElementById("hintBtn");
   const revealBtn = document.getElementById("revealBtn");
 
-  // Map number -> location
-  const positions = new Map();
-  for (let r = 0; r < n; r++) {
-    for (let c = 0; c < n; c++) {
-      const v = grid[r][c];
-      if (v !== 0) positions.set(v, { r, c });
-    }
+  // Rules and path state live in the shared engine (zip-engine.js), drawing in zip-board.js
+  const game = ZipEngine.createGame(grid, walls);
+  const view = ZipBoard.createBoardView(boardEl, pathEl, grid, walls);
+
+  // Timestamped log of every path change, uploaded with the solve for replays
+  const moveLog = [];
+  function logMove(op, rc) {
+    const entry = { t: currentElapsedMs(), op };
+    if (rc) { entry.r = rc.r; entry.c = rc.c; }
+    moveLog.push(entry);
+    saveInProgress();
   }
 
-  const requiredNums = Array.from(positions.keys()).sort((a, b) => a - b);
-  const lastRequired = requiredNums[requiredNums.length - 1];
+  // ----------------------------
+  // In-progress path: saved locally on every move, and to the server shortly after
+  // (so the puzzle can be resumed here or on another device)
+  // ----------------------------
+  const IN_PROGRESS_SYNC_DELAY_MS = 1500;
+  let inProgressTimer = null;
+  let inProgressPending = null;
 
-  let path = [];
-  let isDragging = false;
-  let lastHoverKey = null;    // prevents re-processing the same cell while dragging
-  let hintCooldownUntil = 0;  // timestamp for hint cooldown
-  let currentHintArrow = null; // reference to current hint arrow element
-  let hintCooldownInterval = null; // interval for updating cooldown progress bar
+  function saveInProgress() {
+    const user = getCurrentUser();
+    if (!user || finishedLock) return;
+
+    const entry = {
+      path: game.path.map(p => [p.r, p.c]),
+      elapsedMs: currentElapsedMs(),
+      hintsUsed,
+      moves: moveLog.slice(),
+      savedAt: Date.now()
+    };
+    const d = getUserData(user);
+    d.inProgress = d.inProgress || {};
+    if (entry.path.length) d.inProgress[PROGRESS_KEY] = entry;
+    else delete d.inProgress[PROGRESS_KEY];
+    saveUserData(user, d);
 
-  function orthAdjacent(a, b) {
-    const dr = Math.abs(a.r - b.r);
-    const dc = Math.abs(a.c - b.c);
-    return (dr + dc) === 1;
+    if (SHARED_CODE) return;
+    inProgressPending = entry;
+    if (inProgressTimer) clearTimeout(inProgressTimer);
+    inProgressTimer = setTimeout(() => pushInProgress(false), IN_PROGRESS_SYNC_DELAY_MS);
   }
 
-  function nextRequiredNumber() {
-    for (const k of requiredNums) {
-      const pos = positions.get(k);
-      const visited = path.some(p => p.r === pos.r && p.c === pos.c);
-      if (!visited) return k;
-    }
-    return null;
+  function pushInProgress(keepalive) {
+    if (inProgressTimer) clearTimeout(inProgressTimer);
+    inProgressTimer = null;
+    if (!inProgressPending) return;
+    const entry = inProgressPending;
+    inProgressPending = null;
+    fetch(`/api/inprogress/${encodeURIComponent(PROGRESS_KEY)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...entry, savedAt: new Date(entry.savedAt).toISOString() }),
+      keepalive
+    }).catch(() => {}); // the local copy is kept either way; the next move tries again
   }
 
-  function isSolvedNow() {
-    if (path.length !== N) return false;
-
-    // must start at 1
-    const start = path[0];
-    if (grid[start.r][start.c] !== 1) return false;
-
-    // must be orth-adjacent all the way
-    for (let i = 0; i < path.length - 1; i++) {
-      if (!orthAdjacent(path[i], path[i + 1])) return false;
+  // Hint count and reveal for this puzzle survive reloads, so a reload can't make a solve "clean"
+  function saveAssists() {
+    const user = getCurrentUser();
+    if (!user) return;
+    const d = getUserData(user);
+    d.hints = d.hints || {};
+    d.hints[PROGRESS_KEY] = hintsUsed;
+    if (isRevealed) {
+      d.revealed = d.revealed || {};
+      d.revealed[PROGRESS_KEY] = true;
     }
+    saveUserData(user, d);
+  }
+
+  // Solved: nothing left to resume (the server drops its copy when the solve arrives)
+  function clearInProgress() {
+    if (inProgressTimer) clearTimeout(inProgressTimer);
+    inProgressTimer = null;
+    inProgressPending = null;
+    const user = getCurrentUser();
+    if (!user) return;
+    const d = getUserData(user);
+    if (d.inProgress) delete d.inProgress[PROGRESS_KEY];
+    saveUserData(user, d);
+  }
 
-    // must hit all required numbers in increasing order
-    let lastIdx = -1;
-    for (const k of requiredNums) {
-      const pos = positions.get(k);
-      const idx = path.findIndex(p => p.r === pos.r && p.c === pos.c);
-      if (idx === -1) return false;
-      if (idx <= lastIdx) return false;
-      lastIdx = idx;
+  // Continue from the newer of the local and server copies, if its path still checks out
+  async function restoreInProgress() {
+    const user = getCurrentUser();
+    if (!user) return;
+    const d = getUserData(user);
+    let saved = d.inProgress && d.inProgress[PROGRESS_KEY] || null;
+    // Shared puzzles (?code=) are only kept in this browser
+    if (!SHARED_CODE) {
+      try {
+        const res = await fetch(`/api/inprogress/${encodeURIComponent(PROGRESS_KEY)}`, { cache: 'no-store' });
+        if (res.ok) {
+          const remote = await res.json();
+          const remoteAt = new Date(remote.savedAt).getTime();
+          if (!saved || remoteAt > saved.savedAt) saved = { ...remote, savedAt: remoteAt };
+        }
+      } catch (e) { /* offline: the local copy will do */ }
     }
 
-    // must end at lastRequired
-    const end = path[path.length - 1];
-    if (grid[end.r][end.c] !== lastRequired) return false;
+    // The player may have started moving while we were fetching
+    if (!saved || !saved.path || !saved.path.length || game.path.length || finishedLock) return;
 
-    return true;
-  }
+    const restored = ZipEngine.createGame(grid, walls);
+    for (const [r, c] of saved.path) {
+      if (!restored.tryAdd({ r, c }).ok) return;
+    }
+    game.setPath(restored.path);
 
-  // Robust hit-test: works even with overlay and borders
-  function cellAtPoint(clientX, clientY) {
-    const els = document.elementsFromPoint(clientX, clientY);
-    for (const el of els) {
-      const cell = el.closest?.(".zip-cell");
-      if (cell) return { r: Number(cell.dataset.r), c: Number(cell.dataset.c) };
+    // Keep the recorded moves if they lead to this path; otherwise start the log from it
+    const log = ZipEngine.cleanMoveLog(saved.moves);
+    const replayed = log && ZipEngine.replayMoveLog(grid, log, log.length, walls);
+    moveLog.length = 0;
+    if (replayed && replayed.path.length === game.path.length && replayed.path.every((p, i) => p.r === game.path[i].r && p.c === game.path[i].c)) {
+      moveLog.push(...log);
+    } else {
+      const t = saved.elapsedMs || 0;
+      for (const p of game.path) moveLog.push({ t, op: 'add', r: p.r, c: p.c });
     }
-    return null;
-  }
 
-  function cellCenterToOverlay(rc) {
-    const x = (rc.c + 0.5) / n * 100;
-    const y = (rc.r + 0.5) / n * 100;
-    return { x, y };
+    if (saved.hintsUsed > hintsUsed) {
+      hintsUsed = saved.hintsUsed;
+      saveAssists();
+    }
+    if (saved.elapsedMs > currentElapsedMs()) {
+      _elapsedMs += saved.elapsedMs - currentElapsedMs();
+    }
+    setMsg(`Resumed where you left off (${game.path.length}/${N} cells).`, true);
+    redraw();
   }
 
-  function redraw() {
-    boardEl.querySelectorAll(".zip-cell").forEach(el => el.classList.remove("used", "head"));
-
-    path.forEach((rc, i) => {
-      const el = boardEl.querySelector(`[data-r="${rc.r}"][data-c="${rc.c}"]`);
-      if (!el) return;
-      el.classList.add("used");
-      if (i === path.length - 1) el.classList.add("head");
-    });
+  window.addEventListener('beforeunload', () => pushInProgress(true));
 
-    if (path.length === 0) {
-      pathEl.setAttribute("d", "");
-      return;
-    }
+  let isDragging = false;
+  let lastHoverKey = null;    // prevents re-processing the same cell while dragging
+  let hintCooldownUntil = 0;  // timestamp for hint cooldown
+  let currentHintArrow = null; // reference to current hint arrow element
+  let hintCooldownInterval = null; // interval for updating cooldown progress bar
 
-    const pts = path.map(cellCenterToOverlay);
-    const d = ["M", pts[0].x, pts[0].y];
-    for (let i = 1; i < pts.length; i++) d.push("L", pts[i].x, pts[i].y);
-    pathEl.setAttribute("d", d.join(" "));
+  function redraw() {
+    view.draw(game.path);
   }
 
   function clearHintArrow() {
@@ -433,6 +576,121 @@ function setupNavigation(currentId, allIds) {
     currentHintArrow = arrowEl;
   }
 
+  // "Top times" panel, shown once the puzzle is solved (your own row highlighted)
+  async function showTopTimes() {
+    const panel = document.getElementById("topTimes");
+    if (!panel || SHARED_CODE) return;
+    const user = getCurrentUser() || "";
+    const url = DAILY_DATE
+      ? `/api/daily/leaderboard?date=${DAILY_DATE}&limit=10&user=${encodeURIComponent(user)}`
+      : `/api/puzzles/${ZIP_NUMBER}/leaderboard?limit=10&user=${encodeURIComponent(user)}`;
+    try {
+      const res = await fetch(url, { cache: "no-store" });
+      if (!res.ok) return;
+      const board = await res.json();
+
+      const list = document.createElement("ol");
+      list.className = "top-times-list";
+      for (const r of board.results) {
+        const li = document.createElement("li");
+        if (r.username === user) li.className = "me";
+        li.textContent = `${r.rank}. ${r.username} — ${fmtMs(r.timeMs)}${r.hinted ? " 💡" : ""} `;
+        if (r.hinted) li.title = "Used hints";
+        const replay = document.createElement("a");
+        replay.className = "replay-link";
+        replay.href = DAILY_DATE
+          ? `/replay?date=${DAILY_DATE}&user=${encodeURIComponent(r.username)}`
+          : `/replay?id=${ZIP_NUMBER}&user=${encodeURIComponent(r.username)}`;
+        replay.title = "Watch replay";
+        replay.textContent = "▶";
+        li.appendChild(replay);
+        list.appendChild(li);
+      }
+
+      panel.innerHTML = "";
+      const title = document.createElement("div");
+      title.className = "title";
+      title.textContent = "Top times";
+      panel.appendChild(title);
+      panel.appendChild(list);
+
+      // Outside the top list: show where you are
+      if (board.me && !board.results.some(r => r.username === user)) {
+        const mine = document.createElement("div");
+        mine.className = "top-times-me me";
+        mine.textContent = `Your rank: #${board.me.rank} — ${fmtMs(board.me.timeMs)}${board.me.hinted ? " 💡" : ""}`;
+        panel.appendChild(mine);
+      }
+      panel.classList.remove("hidden");
+    } catch (e) { /* panel stays hidden */ }
+  }
+
+  // Solved: stop the clock, record the time and freeze the board
+  function finishSolve() {
+    finishedLock = true; // lock once solved (prevents rewind/undo)
+
+    // Stop the timer
+    stopTimerIfHidden();
+
+    setMsg("Solved.", true);
+    // Persist completion for current user (only when user actually solved it)
+    try {
+      const user = getCurrentUser();
+      if (user) {
+        // Calculate total elapsed time
+        let elapsed = _elapsedMs;
+
+        // The server replays the path to verify the solve before recording the time
+        const movePath = game.path.map(p => [p.r, p.c]);
+
+        // Keep the best local time, with its path and hint count so the solve can be re-sent
+        // (assists included) if the server never got it
+        const d = getUserData(user);
+        d.times = d.times || {};
+        d.solvedPaths = d.solvedPaths || {};
+        d.solvedHints = d.solvedHints || {};
+        if (typeof d.times[PROGRESS_KEY] !== 'number' || elapsed < d.times[PROGRESS_KEY]) {
+          d.times[PROGRESS_KEY] = elapsed;
+          d.solvedPaths[PROGRESS_KEY] = movePath;
+          d.solvedHints[PROGRESS_KEY] = hintsUsed;
+        }
+        if (d.startTimes) delete d.startTimes[PROGRESS_KEY];
+        if (d.attemptStarts) delete d.attemptStarts[PROGRESS_KEY];
+        saveUserData(user, d);
+        clearInProgress();
+
+        // Send through the outbox (zip-sync.js): kept and retried until the server has it
+        if (!SHARED_CODE) {
+          const finishedAt = new Date().toISOString();
+          const submission = DAILY_DATE
+            ? { date: DAILY_DATE, elapsed: elapsed, path: movePath, moves: moveLog, finishedAt, hintsUsed: hintsUsed }
+            : {
+                id: ZIP_NUMBER,
+                elapsed: elapsed,
+                path: movePath,
+                moves: moveLog,
+                startedAt: new Date(attemptStartedAt).toISOString(),
+                finishedAt,
+                hintsUsed: hintsUsed,
+                revealed: false
+              };
+          ZipSync.submit(user, DAILY_DATE ? '/api/daily' : '/api/progress', submission,
+            DAILY_DATE ? `daily:${DAILY_DATE}` : `progress:${ZIP_NUMBER}`)
+            .then(showTopTimes);
+        }
+
+        markCompletedForUser(user, PROGRESS_KEY);
+      }
+    } catch (e) { /* ignore */ }
+
+    // freeze interactions
+    document.getElementById('board').style.pointerEvents = 'none';
+    undoBtn.disabled = true;
+    resetBtn.disabled = true;
+    hintBtn.disabled = true;
+    revealBtn.disabled = true;
+  }
+
   function tryAddCell(rc, allowRewind = false) {
     const key = `${rc.r},${rc.c}`;
     if (key === lastHoverKey) return;
@@ -441,104 +699,22 @@ function setupNavigation(currentId, allIds) {
     // Clear any hint arrow when user makes a move
     clearHintArrow();
 
-    if (path.length === 0) {
-      if (grid[rc.r][rc.c] !== 1) {
-        setMsg("Start on 1.", false);
-        return;
-      }
-      path.push(rc);
-      redraw();
-      return;
-    }
-
-    // Check if this cell is already in the path (crossing itself)
-    const hitIndex = path.findIndex(p => p.r === rc.r && p.c === rc.c);
-    if (hitIndex !== -1) {
-      if (finishedLock) return; // no changes after solved
-      
-      // Block crossing during dragging (allowRewind = false)
-      // But allow clicking on a visited cell to rewind to that position (allowRewind = true)
-      if (!allowRewind) {
-        // During drag: completely block crossing
-        return;
-      }
-      
-      // During click: rewind to that position (fast alternative to undo button)
-      path = path.slice(0, hitIndex + 1);
-      redraw();
+    // Stepping on a visited cell: blocked while dragging (allowRewind = false),
+    // a click rewinds to that cell (allowRewind = true, fast alternative to undo)
+    const result = game.tryAdd(rc, allowRewind);
+    if (!result.ok) {
+      if (result.reason === "start_on_one") setMsg("Start on 1.", false);
+      else if (result.reason === "last_too_early") setMsg(`You can only step on ${result.lastRequired} as the final move.`, false);
+      else if (result.reason === "wrong_number") setMsg(`Next number is ${result.needed}.`, false);
+      else if (result.reason === "wall") setMsg("There's a wall in the way.", false);
       return;
     }
-
-    const head = path[path.length - 1];
-    if (!orthAdjacent(head, rc)) return;
-
-    const cellVal = grid[rc.r][rc.c];
-    const needed = nextRequiredNumber();
-
-    if (cellVal !== 0) {
-      // last number can ONLY be selected as the final move
-      if (cellVal === lastRequired && path.length !== N - 1) {
-        setMsg(`You can only step on ${lastRequired} as the final move.`, false);
-        return;
-      }
-
-      // must hit required numbers in order
-      if (needed !== null && cellVal !== needed) {
-        setMsg(`Next number is ${needed}.`, false);
-        return;
-      }
-    }
-
-    path.push(rc);
+    logMove(result.rewound ? "rewind" : "add", rc);
 
     // auto-resolve when board is full
-    if (path.length === N) {
-      if (isSolvedNow()) {
-        finishedLock = true; // lock once solved (prevents rewind/undo)
-        
-        // Stop the timer
-        stopTimerIfHidden();
-        
-        setMsg("Solved.", true);
-        // Persist completion for current user (only when user actually solved it)
-        try {
-          const user = getCurrentUser();
-          if (user) {
-            // Calculate total elapsed time
-            let elapsed = _elapsedMs;
-            
-            const d = getUserData(user);
-            d.times = d.times || {};
-            d.times[ZIP_NUMBER] = elapsed;
-            if (d.startTimes) delete d.startTimes[ZIP_NUMBER];
-            saveUserData(user, d);
-
-            // also POST progress to server (best-effort)
-            try {
-              const numbersCount = grid.flat().filter(x => x !== 0).length;
-              fetch('/api/progress', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ username: user, id: ZIP_NUMBER, elapsed: elapsed, n: n, numbersCount })
-              }).catch(()=>{});
-            } catch(e) {}
-            
-            markCompletedForUser(user, ZIP_NUMBER);
-          }
-        } catch (e) { /* ignore */ }
-
-        // stop timer and freeze interactions
-        stopTimerIfHidden();
-        document.getElementById('board').style.pointerEvents = 'none';
-        undoBtn.disabled = true;
-        resetBtn.disabled = true;
-        hintBtn.disabled = true;
-        revealBtn.disabled = true;
-      } else {
-        setMsg("Not solved yet.", false);
-      }
-      redraw();
-      return;
+    if (result.full) {
+      if (result.solved) finishSolve();
+      else setMsg("Not solved yet.", false);
     }
 
     redraw();
@@ -548,7 +724,10 @@ function setupNavigation(currentId, allIds) {
     // Don't allow reset on previously completed puzzles
     if (isPreviouslyCompleted) return;
     
-    path = [];
+    const hadPath = game.path.length > 0;
+    game.locked = false;
+    game.reset();
+    if (hadPath) logMove("reset");
     lastHoverKey = null;
     finishedLock = false;
     
@@ -562,8 +741,8 @@ function setupNavigation(currentId, allIds) {
 
   function undo() {
     if (finishedLock) return;
-    if (path.length === 0) return;
-    path.pop();
+    if (!game.undo()) return;
+    logMove("undo");
     lastHoverKey = null;
     
     // Clear any hint arrow
@@ -584,16 +763,16 @@ function setupNavigation(currentId, allIds) {
     // Clear previous hint arrow
     clearHintArrow();
     
-    // Solve from current state
-    const sol = solveFromCurrentPath();
+    // Solve from current state (engine continues the current path)
+    const sol = game.solve();
     
-    if (!sol || sol.length <= path.length) {
+    if (!sol || sol.length <= game.path.length) {
       return;
     }
     
     // Get current position and next position
     let fromCell;
-    if (path.length === 0) {
+    if (game.path.length === 0) {
       // If no path, hint should start from cell 1
       fromCell = findCellWithValue(1);
       if (!fromCell) return;
@@ -601,130 +780,27 @@ function setupNavigation(currentId, allIds) {
       // Show arrow pointing to start cell if path is empty
       showHintArrow(fromCell, fromCell); // This will just show indicator on start cell
     } else {
-      fromCell = path[path.length - 1];
-      const nextCell = sol[path.length];
+      fromCell = game.path[game.path.length - 1];
+      const nextCell = sol[game.path.length];
       // Show arrow pointing from current head to next cell
       showHintArrow(fromCell, nextCell);
     }
+    hintsUsed++;
+    saveAssists();
     
     // Start cooldown with progress bar
     startHintCooldown();
   }
 
-  function solveFromCurrentPath() {
-    // If path is empty, solve from scratch
-    if (path.length === 0) {
-      return solveZipDFS();
-    }
-    
-    // Build a solution that continues from current path
-    const visited = Array.from({ length: n }, () => Array(n).fill(false));
-    const solPath = [];
-    
-    // Mark current path as visited
-    for (const p of path) {
-      visited[p.r][p.c] = true;
-      solPath.push(p);
-    }
-    
-    const cur = path[path.length - 1];
-    
-    // Figure out which required numbers we've already hit
-    let nextReqIdx = 0;
-    for (const reqNum of requiredNums) {
-      const pos = positions.get(reqNum);
-      const hit = path.some(p => p.r === pos.r && p.c === pos.c);
-      if (hit) nextReqIdx++;
-      else break;
-    }
-    
-    function dfs(curr, reqIdx) {
-      if (solPath.length === N) {
-        if (reqIdx !== requiredNums.length) return false;
-        return grid[curr.r][curr.c] === lastRequired;
-      }
-
-      const needed = (reqIdx < requiredNums.length) ? requiredNums[reqIdx] : null;
-
-      const cand = neighbors4(curr.r, curr.c)
-        .filter(nb => !visited[nb.r][nb.c])
-        .filter(nb => {
-          const v = grid[nb.r][nb.c];
-          if (v === 0) return true;
-          if (needed === null) return true;
-          return v === needed;
-        })
-        .map(nb => {
-          let deg = 0;
-          for (const nn of neighbors4(nb.r, nb.c)) if (!visited[nn.r][nn.c]) deg++;
-          return { nb, deg };
-        })
-        .sort((a, b) => a.deg - b.deg)
-        .map(x => x.nb);
-
-      for (const nb of cand) {
-        const v = grid[nb.r][nb.c];
-        let newIdx = reqIdx;
-        if (needed !== null && v === needed) newIdx = reqIdx + 1;
-
-        visited[nb.r][nb.c] = true;
-        solPath.push(nb);
-
-        if (dfs(nb, newIdx)) return true;
-
-        solPath.pop();
-        visited[nb.r][nb.c] = false;
-      }
-      return false;
-    }
-
-    const ok = dfs(cur, nextReqIdx);
-    return ok ? solPath : null;
-  }
-
   function check() {
-    if (path.length !== N) {
-      setMsg(`Not yet. You covered ${path.length}/${N} cells.`, false);
+    if (game.path.length !== N) {
+      setMsg(`Not yet. You covered ${game.path.length}/${N} cells.`, false);
       return;
     }
 
-    if (isSolvedNow()) {
-      finishedLock = true; // lock if solved via Check
-      
-      // Stop the timer
-      stopTimerIfHidden();
-      
-      setMsg("Solved.", true);
-      try {
-        const user = getCurrentUser();
-        if (user) {
-          // Calculate total elapsed time
-          let elapsed = _elapsedMs;
-          
-          const d = getUserData(user);
-          d.times = d.times || {};
-          d.times[ZIP_NUMBER] = elapsed;
-          if (d.startTimes) delete d.startTimes[ZIP_NUMBER];
-          saveUserData(user, d);
-          
-          try {
-            const numbersCount = grid.flat().filter(x => x !== 0).length;
-            fetch('/api/progress', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ username: user, id: ZIP_NUMBER, elapsed: elapsed, n: n, numbersCount })
-            }).catch(()=>{});
-          } catch(e) {}
-          
-          markCompletedForUser(user, ZIP_NUMBER);
-        }
-      } catch (e) {}
-      stopTimerIfHidden();
-      document.getElementById('board').style.pointerEvents = 'none';
-      undoBtn.disabled = true;
-      resetBtn.disabled = true;
-      hintBtn.disabled = true;
-      revealBtn.disabled = true;
+    if (game.isSolved()) {
+      game.locked = true; // lock if solved via Check
+      finishSolve();
       redraw();
       return;
     }
@@ -732,47 +808,17 @@ function setupNavigation(currentId, allIds) {
     setMsg("Not solved yet.", false);
   }
 
-  function buildBoard() {
-    boardEl.style.setProperty("--n", n);
-    boardEl.innerHTML = "";
-
-    for (let r = 0; r < n; r++) {
-      for (let c = 0; c < n; c++) {
-        const cell = document.createElement("div");
-        cell.className = "zip-cell";
-        cell.dataset.r = r;
-        cell.dataset.c = c;
-
-        if (c === n - 1) cell.classList.add("last-col");
-        if (r === n - 1) cell.classList.add("last-row");
-
-        const v = grid[r][c];
-        if (v !== 0) {
-          const badge = document.createElement("div");
-          badge.className = "zip-num";
-          badge.textContent = v;
-          cell.appendChild(badge);
-        }
-
-        boardEl.appendChild(cell);
-      }
-    }
-
-    // line thickness scales with grid size
-    pathEl.setAttribute("stroke-width", String(100 / n * 0.42));
-  }
-
   function onPointerDown(e) {
     isDragging = true;
     lastHoverKey = null;
     boardEl.setPointerCapture?.(e.pointerId);
-    const rc = cellAtPoint(e.clientX, e.clientY);
+    const rc = view.cellAtPoint(e.clientX, e.clientY);
     if (rc) tryAddCell(rc, true); // Allow rewind on initial click
   }
 
   function onPointerMove(e) {
     if (!isDragging) return;
-    const rc = cellAtPoint(e.clientX, e.clientY);
+    const rc = view.cellAtPoint(e.clientX, e.clientY);
     if (rc) tryAddCell(rc, false); // Do NOT allow rewind during dragging
   }
 
@@ -807,7 +853,7 @@ function setupNavigation(currentId, allIds) {
 
     let targetCell = null;
 
-    if (path.length === 0) {
+    if (game.path.length === 0) {
       // If no path yet, find the cell with value 1
       const start = findCellWithValue(1);
       if (start) {
@@ -815,20 +861,20 @@ function setupNavigation(currentId, allIds) {
       }
     } else {
       // Move from the current head position
-      const head = path[path.length - 1];
+      const head = game.path[game.path.length - 1];
       
       switch(e.key) {
         case 'ArrowUp':
           if (head.r > 0) targetCell = { r: head.r - 1, c: head.c };
           break;
         case 'ArrowDown':
-          if (head.r < n - 1) targetCell = { r: head.r + 1, c: head.c };
+          if (head.r < rows - 1) targetCell = { r: head.r + 1, c: head.c };
           break;
         case 'ArrowLeft':
           if (head.c > 0) targetCell = { r: head.r, c: head.c - 1 };
           break;
         case 'ArrowRight':
-          if (head.c < n - 1) targetCell = { r: head.r, c: head.c + 1 };
+          if (head.c < cols - 1) targetCell = { r: head.r, c: head.c + 1 };
           break;
       }
     }
@@ -840,104 +886,69 @@ function setupNavigation(currentId, allIds) {
   });
 
   // ----------------------------
-  // Solver (DFS)
+  // Solver helpers (the solver itself is ZipEngine.solveZipDFS)
   // ----------------------------
-  function neighbors4(r, c) {
-    const out = [];
-    if (r > 0) out.push({ r: r - 1, c });
-    if (r < n - 1) out.push({ r: r + 1, c });
-    if (c > 0) out.push({ r, c: c - 1 });
-    if (c < n - 1) out.push({ r, c: c + 1 });
-    return out;
-  }
-
   function findCellWithValue(val) {
-    for (let r = 0; r < n; r++) {
-      for (let c = 0; c < n; c++) {
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
         if (grid[r][c] === val) return { r, c };
       }
     }
     return null;
   }
 
-  function solveZipDFS() {
-    const start = findCellWithValue(1);
-    if (!start) return null;
-    if (requiredNums.length === 0 || requiredNums[0] !== 1) return null;
-
-    const visited = Array.from({ length: n }, () => Array(n).fill(false));
-    const solPath = [];
-
-    visited[start.r][start.c] = true;
-    solPath.push(start);
-
-    function dfs(cur, nextReqIdx) {
-      if (solPath.length === N) {
-        if (nextReqIdx !== requiredNums.length) return false;
-        return grid[cur.r][cur.c] === lastRequired;
-      }
-
-      const needed = (nextReqIdx < requiredNums.length) ? requiredNums[nextReqIdx] : null;
-
-      const cand = neighbors4(cur.r, cur.c)
-        .filter(nb => !visited[nb.r][nb.c])
-        .filter(nb => {
-          const v = grid[nb.r][nb.c];
-          if (v === 0) return true;
-          if (needed === null) return true;
-          return v === needed;
-        })
-        .map(nb => {
-          let deg = 0;
-          for (const nn of neighbors4(nb.r, nb.c)) if (!visited[nn.r][nn.c]) deg++;
-          return { nb, deg };
-        })
-        .sort((a, b) => a.deg - b.deg)
-        .map(x => x.nb);
-
-      for (const nb of cand) {
-        const v = grid[nb.r][nb.c];
-        let newIdx = nextReqIdx;
-        if (needed !== null && v === needed) newIdx = nextReqIdx + 1;
-
-        visited[nb.r][nb.c] = true;
-        solPath.push(nb);
-
-        if (dfs(nb, newIdx)) return true;
-
-        solPath.pop();
-        visited[nb.r][nb.c] = false;
-      }
-      return false;
-    }
-
-    const ok = dfs(start, 1);
-    return ok ? solPath : null;
+  function solveFromScratch() {
+    const sol = ZipEngine.solveZipDFS(grid, null, walls);
+    return sol ? sol.map(([r, c]) => ({ r, c })) : null;
   }
 
   revealBtn.addEventListener("click", () => {
     setMsg("Revealing solution…");
-    const sol = solveZipDFS();
+    const sol = solveFromScratch();
     if (!sol) {
       setMsg("No solution found.", false);
       return;
     }
-    path = sol.map(rc => ({ r: rc.r, c: rc.c }));
+    game.setPath(sol);
     lastHoverKey = null;
 
-    // If solver produced a full correct solution, lock it
-    if (path.length === N && isSolvedNow()) {
-      finishedLock = true;
-      setMsg("Solution revealed.", true);
-    } else {
-      setMsg("Solved path loaded.", true);
-    }
+    // A reveal is final: it is recorded (locally and on the server) and the puzzle stays unsolved
+    finishedLock = true;
+    game.locked = true;
+    isRevealed = true;
+    stopTimerIfHidden();
+    saveAssists();
+    clearInProgress();
+    setMsg("Solution revealed — this one won't count as solved.", false);
 
+    const user = getCurrentUser();
+    if (user && !SHARED_CODE) {
+      const movePath = game.path.map(p => [p.r, p.c]);
+      const submission = DAILY_DATE
+        ? { date: DAILY_DATE, elapsed: _elapsedMs, path: movePath, hintsUsed, revealed: true }
+        : {
+            id: ZIP_NUMBER,
+            elapsed: _elapsedMs,
+            path: movePath,
+            startedAt: new Date(attemptStartedAt).toISOString(),
+            finishedAt: new Date().toISOString(),
+            hintsUsed,
+            revealed: true
+          };
+      ZipSync.submit(user, DAILY_DATE ? '/api/daily' : '/api/progress', submission,
+        DAILY_DATE ? `daily:${DAILY_DATE}` : `reveal:${ZIP_NUMBER}`);
+    }
+
+    document.getElementById('board').style.pointerEvents = 'none';
+    undoBtn.disabled = true;
+    resetBtn.disabled = true;
+    hintBtn.disabled = true;
+    revealBtn.disabled = true;
     redraw();
   });
 
   // init
-  buildBoard();
+  view.build();
   
   // Initialize hint cooldown bar to 100%
   const cooldownBar = document.getElementById('hintCooldownBar');
@@ -945,13 +956,16 @@ function setupNavigation(currentId, allIds) {
   
   // If previously completed, show the solved path instead of allowing reset
   if (isPreviouslyCompleted) {
-    const sol = solveZipDFS();
+    const sol = solveFromScratch();
     if (sol) {
-      path = sol.map(rc => ({ r: rc.r, c: rc.c }));
+      game.setPath(sol);
+      game.locked = true;
       redraw();
     }
+    showTopTimes();
   } else {
     reset();
+    restoreInProgress();
   }
 })();
 